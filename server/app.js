@@ -0,0 +1,215 @@
+// app.js - Express app for the StitchPix API proxy and share links
+const express = require('express');
+const cors = require('cors');
+const axios = require('axios');
+const { isImageDataUrl, dataUrlToBuffer } = require('./lib/images');
+const { nanoBanana, upstreamConfig, UpstreamError } = require('./lib/providers');
+const { importImage, ImportError } = require('./lib/imports');
+const { verifySessionToken } = require('./lib/session');
+const { createShareStore } = require('./lib/shares');
+const { renderSharePage, renderUnavailablePage } = require('./lib/viewer');
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+// Keys configured on the server always win. A key sent in the request body is
+// only accepted when the server has none for that provider.
+const resolveApiKey = (serverKey, body) => {
+  const apiKey = serverKey || body.apiKey;
+  if (!apiKey) {
+    throw new RequestError(503, 'No API key configured for this provider on the server');
+  }
+  return apiKey;
+};
+
+const requireImages = (body, fields) => {
+  const invalid = fields.find(field => !isImageDataUrl(body[field]));
+  if (invalid) {
+    throw new RequestError(400, `${invalid} must be a base64 image data URL`);
+  }
+};
+
+// Served back from our own origin, so no SVG (it can carry scripts)
+const SHAREABLE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// `expiresIn` is a number of seconds, or null for a link that never expires
+const readExpiresIn = (body) => {
+  const { expiresIn } = body;
+  if (expiresIn === undefined || expiresIn === null) return expiresIn;
+  if (!Number.isFinite(expiresIn) || expiresIn <= 0) {
+    throw new RequestError(400, 'expiresIn must be a positive number of seconds or null');
+  }
+  return expiresIn;
+};
+
+const createApp = ({
+  http = axios,
+  keys = {
+    nanobanana: process.env.NANOBANANA_API_KEY
+  },
+  upstream = upstreamConfig(),
+  corsOrigin = process.env.CORS_ORIGIN || 'http://localhost:3000',
+  shares = createShareStore(),
+  publicUrl = process.env.PUBLIC_URL,
+  appUrl = process.env.APP_URL || corsOrigin.split(',')[0],
+  sessionSecret = process.env.JWT_SECRET,
+  lookup
+} = {}) => {
+  const app = express();
+
+  // Share links must be absolute; fall back to the address the request came in on
+  const baseUrlFor = (req) => publicUrl || `${req.protocol}://${req.get('host')}`;
+
+  const describeShare = (req, share) => ({
+    id: share.id,
+    title: share.title,
+    url: `${baseUrlFor(req)}/s/${share.id}`,
+    imageUrl: `${baseUrlFor(req)}/api/shares/${share.id}/image`,
+    createdAt: new Date(share.createdAt).toISOString(),
+    expiresAt: share.expiresAt === null ? null : new Date(share.expiresAt).toISOString()
+  });
+
+  const findActiveShare = (id) => {
+    const { share, status } = shares.get(id);
+    if (!share) {
+      throw new RequestError(404, 'Share not found');
+    }
+    if (status !== 'active') {
+      throw new RequestError(410, status === 'revoked' ? 'This share has been revoked' : 'This share has expired');
+    }
+    return share;
+  };
+
+  const requireShareOwner = (req) => {
+    const { share } = shares.get(req.params.id);
+    if (!share) {
+      throw new RequestError(404, 'Share not found');
+    }
+    if (!shares.isOwner(req.params.id, req.get('X-Share-Token'))) {
+      throw new RequestError(403, 'Invalid share token');
+    }
+    return share;
+  };
+
+  // Only signed-in users of the app may spend the server's provider keys or
+  // make it fetch arbitrary links
+  const requireSession = (req) => {
+    if (!sessionSecret) {
+      throw new RequestError(503, 'This endpoint needs JWT_SECRET configured on the server');
+    }
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!verifySessionToken(token, sessionSecret)) {
+      throw new RequestError(401, 'Please sign in first');
+    }
+  };
+
+  app.use(cors({ origin: corsOrigin.split(',') }));
+  app.use(express.json({ limit: '20mb' }));
+
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      providers: {
+        nanobanana: Boolean(keys.nanobanana)
+      }
+    });
+  });
+
+  app.post('/api/nanobanana', async (req, res) => {
+    requireSession(req);
+    const body = req.body || {};
+    requireImages(body, ['userPhoto', 'dressPhoto']);
+    res.json(await nanoBanana(http, resolveApiKey(keys.nanobanana, body), body, upstream.nanobanana));
+  });
+
+  // Download an image (or a product page's preview image) for the app's URL import
+  app.post('/api/import-image', async (req, res) => {
+    requireSession(req);
+    const { url } = req.body || {};
+    if (typeof url !== 'string' || !url.trim()) {
+      throw new RequestError(400, 'url is required');
+    }
+    res.json(await importImage(http, url.trim(), { lookup }));
+  });
+
+  app.post('/api/shares', (req, res) => {
+    const body = req.body || {};
+    requireImages(body, ['image']);
+    const { mimeType, buffer } = dataUrlToBuffer(body.image);
+    if (!SHAREABLE_TYPES.includes(mimeType)) {
+      throw new RequestError(415, 'Only PNG, JPEG, WebP and GIF images can be shared');
+    }
+    const share = shares.create({
+      image: buffer,
+      mimeType,
+      title: typeof body.title === 'string' ? body.title.slice(0, 120) : '',
+      expiresIn: readExpiresIn(body)
+    });
+    // The owner token is only ever returned here
+    res.status(201).json({ ...describeShare(req, share), ownerToken: share.ownerToken });
+  });
+
+  app.get('/api/shares/:id', (req, res) => {
+    res.json(describeShare(req, findActiveShare(req.params.id)));
+  });
+
+  app.get('/api/shares/:id/image', (req, res) => {
+    const share = findActiveShare(req.params.id);
+    res.set({ 'Cache-Control': 'public, max-age=300', 'X-Content-Type-Options': 'nosniff' }).type(share.mimeType).send(share.image);
+  });
+
+  app.patch('/api/shares/:id', (req, res) => {
+    const share = requireShareOwner(req);
+    if (share.revokedAt) {
+      throw new RequestError(410, 'This share has been revoked');
+    }
+    const expiresIn = readExpiresIn(req.body || {});
+    if (expiresIn === undefined) {
+      throw new RequestError(400, 'expiresIn is required');
+    }
+    res.json(describeShare(req, shares.setExpiry(share.id, expiresIn)));
+  });
+
+  app.delete('/api/shares/:id', (req, res) => {
+    const share = requireShareOwner(req);
+    shares.revoke(share.id);
+    res.status(204).end();
+  });
+
+  // Public, read-only viewer page for a share link
+  app.get('/s/:id', (req, res) => {
+    const { share, status } = shares.get(req.params.id);
+    if (status !== 'active') {
+      return res.status(share ? 410 : 404).type('html').send(renderUnavailablePage({ status, appUrl }));
+    }
+    const { url, imageUrl } = describeShare(req, share);
+    res.type('html').send(renderSharePage({ share, pageUrl: url, imageUrl, appUrl }));
+  });
+
+  // Express recognises error handlers by their four arguments
+  app.use((error, req, res, next) => {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof ImportError) {
+      return res.status(422).json({ error: error.message });
+    }
+    if (error instanceof UpstreamError) {
+      return res.status(502).json({ error: error.message, upstreamStatus: error.status });
+    }
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Images are too large' });
+    }
+    console.error('Proxy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
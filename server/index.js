@@ -0,0 +1,10 @@
+// index.js - StitchPix API proxy server
+//
+//   NANOBANANA_API_KEY=... JWT_SECRET=... node index.js
+const { createApp } = require('./app');
+
+const PORT = process.env.PORT || 5000;
+
+createApp().listen(PORT, () => {
+  console.log(`StitchPix proxy running on http://localhost:${PORT}`);
+});
@@ -0,0 +1,20 @@
+// images.js - Data URL helpers for the proxy
+
+const DATA_URL_PATTERN = /^data:(image\/[\w.+-]+);base64,(.+)$/;
+
+const isImageDataUrl = (value) => typeof value === 'string' && DATA_URL_PATTERN.test(value);
+
+// Turn a base64 data URL into a Blob that can be appended to FormData
+const dataUrlToBlob = (dataUrl) => {
+  const [, mimeType, base64] = dataUrl.match(DATA_URL_PATTERN);
+  return new Blob([Buffer.from(base64, 'base64')], { type: mimeType });
+};
+
+const dataUrlToBuffer = (dataUrl) => {
+  const [, mimeType, base64] = dataUrl.match(DATA_URL_PATTERN);
+  return { mimeType, buffer: Buffer.from(base64, 'base64') };
+};
+
+const extensionFor = (blob) => (blob.type.split('/')[1] || 'jpg').replace('jpeg', 'jpg');
+
+module.exports = { isImageDataUrl, dataUrlToBlob, dataUrlToBuffer, extensionFor };
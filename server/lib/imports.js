@@ -0,0 +1,154 @@
+// imports.js - Fetch a remote image for the app's "paste an image URL" import
+//
+// Browsers can't read most product images directly (no CORS headers), so the
+// server downloads them instead. Product page links are resolved through their
+// og:image / twitter:image tag. Only public http(s) hosts are contacted, every
+// redirect hop is checked again, and each request connects to the exact address
+// that was checked (so a second DNS answer can't point it somewhere private).
+const dns = require('dns').promises;
+const net = require('net');
+
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Separate lists: a BlockList also matches IPv4 addresses against IPv6 rules
+// (as ::ffff:a.b.c.d), which would block every IPv4 address
+const blockList = (family, ranges) => {
+  const list = new net.BlockList();
+  ranges.forEach(([base, bits]) => list.addSubnet(base, bits, family));
+  return list;
+};
+
+const PRIVATE_V4 = blockList('ipv4', [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]);
+
+// IPv4-compatible (incl. :: and ::1), IPv4-mapped, NAT64 and 6to4 addresses
+// embed an IPv4 address, so none of them are fetched
+const PRIVATE_V6 = blockList('ipv6', [
+  ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]);
+
+const isPublicAddress = (ip) => {
+  if (net.isIPv4(ip)) return !PRIVATE_V4.check(ip, 'ipv4');
+  if (net.isIPv6(ip)) return !PRIVATE_V6.check(ip, 'ipv6');
+  return false;
+};
+
+const checkUrl = async (rawUrl, lookup) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw new ImportError('That is not a valid link');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ImportError('Only http:// and https:// links can be imported');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await lookup(hostname, { all: true }).catch(() => []);
+  if (!addresses.length) {
+    throw new ImportError(`Could not find ${url.hostname}`);
+  }
+  if (!addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new ImportError('That link points to a private address');
+  }
+  return { url, address: addresses[0] };
+};
+
+// Connect to the checked address instead of resolving the name again
+const pinnedLookup = ({ address, family }) => (hostname, options, callback) => callback(null, address, family);
+
+// GET with redirects followed by hand so each hop goes through checkUrl
+const download = async (http, rawUrl, { maxBytes, lookup }) => {
+  let { url, address } = await checkUrl(rawUrl, lookup);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let response;
+    try {
+      response = await http.get(url.href, {
+        responseType: 'arraybuffer',
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        timeout: 15000,
+        lookup: pinnedLookup(address),
+        headers: { Accept: 'image/*,text/html;q=0.9' },
+        validateStatus: status => status < 400
+      });
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        throw new ImportError('That image is too large to import');
+      }
+      throw new ImportError(
+        error.response ? `The site answered with status ${error.response.status}` : 'Could not download that link'
+      );
+    }
+
+    if (response.status >= 300 && response.headers.location) {
+      ({ url, address } = await checkUrl(new URL(response.headers.location, url).href, lookup));
+      continue;
+    }
+    return {
+      url,
+      contentType: String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+      body: Buffer.from(response.data)
+    };
+  }
+  throw new ImportError('That link redirects too many times');
+};
+
+// og:image (or twitter:image) of an HTML page, resolved against the page URL
+const findPreviewImage = (html, pageUrl) => {
+  const tags = html.match(/<meta\s[^>]*>/gi) || [];
+  for (const name of ['og:image:secure_url', 'og:image', 'twitter:image']) {
+    const tag = tags.find(meta => new RegExp(`(?:property|name)\\s*=\\s*["']${name}["']`, 'i').test(meta));
+    const content = tag?.match(/content\s*=\s*["']([^"']+)["']/i)?.[1];
+    if (content) {
+      try {
+        return new URL(content.replace(/&amp;/g, '&'), pageUrl).href;
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+const toDataUrl = ({ contentType, body }) => `data:${contentType};base64,${body.toString('base64')}`;
+
+const importImage = async (http, rawUrl, { lookup = dns.lookup } = {}) => {
+  const first = await download(http, rawUrl, { maxBytes: Math.max(MAX_IMAGE_BYTES, MAX_PAGE_BYTES), lookup });
+  if (IMAGE_TYPES.includes(first.contentType)) {
+    return { image: toDataUrl(first), sourceUrl: first.url.href };
+  }
+
+  if (first.contentType !== 'text/html') {
+    throw new ImportError('That link is not a JPEG, PNG, WebP or GIF image');
+  }
+  const previewUrl = findPreviewImage(first.body.subarray(0, MAX_PAGE_BYTES).toString('utf8'), first.url);
+  if (!previewUrl) {
+    throw new ImportError('No product image found on that page - copy the image address instead');
+  }
+
+  const image = await download(http, previewUrl, { maxBytes: MAX_IMAGE_BYTES, lookup });
+  if (!IMAGE_TYPES.includes(image.contentType)) {
+    throw new ImportError('The product image on that page is not a JPEG, PNG, WebP or GIF image');
+  }
+  return { image: toDataUrl(image), sourceUrl: image.url.href };
+};
+
+module.exports = { importImage, isPublicAddress, findPreviewImage, ImportError };
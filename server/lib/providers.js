@@ -0,0 +1,59 @@
+// providers.js - Upstream provider calls, normalized to { images: [{ url, quality, source }] }
+const { dataUrlToBlob, extensionFor } = require('./images');
+
+// Same shape as the app's `providers.nanobanana` config, overridable from the environment
+const upstreamConfig = (env = process.env) => ({
+  nanobanana: {
+    url: env.NANOBANANA_URL || 'https://api.nanobanana.ai/api/try-on',
+    fields: {
+      personImage: env.NANOBANANA_PERSON_FIELD || 'person_image',
+      garmentImage: env.NANOBANANA_GARMENT_FIELD || 'garment_image'
+    }
+  }
+});
+
+class UpstreamError extends Error {
+  constructor(provider, status, detail) {
+    super(`${provider} request failed${status ? ` with status ${status}` : ''}${detail ? `: ${detail}` : ''}`);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+const toFormData = (fields) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, dataUrl]) => {
+    const blob = dataUrlToBlob(dataUrl);
+    formData.append(name, blob, `${name}.${extensionFor(blob)}`);
+  });
+  return formData;
+};
+
+const postUpstream = async (http, provider, url, formData, headers) => {
+  try {
+    const response = await http.post(url, formData, { headers, timeout: 120000 });
+    return response.data;
+  } catch (error) {
+    const detail = error.response?.data?.error || error.response?.data?.message || (!error.response && error.message);
+    throw new UpstreamError(provider, error.response?.status, detail);
+  }
+};
+
+const nanoBanana = async (http, apiKey, { userPhoto, dressPhoto }, { url, fields }) => {
+  const data = await postUpstream(
+    http,
+    'Nano Banana',
+    url,
+    toFormData({ [fields.personImage]: userPhoto, [fields.garmentImage]: dressPhoto }),
+    { Authorization: `Bearer ${apiKey}` }
+  );
+
+  // Multi-output requests answer with output_urls, single ones with output_url
+  const urls = [].concat(data.output_urls || data.output_url || data.image_url || []).filter(Boolean);
+  if (!urls.length) {
+    throw new UpstreamError('Nano Banana', null, 'no output URL in response');
+  }
+  return { images: urls.map(url => ({ url, quality: 'AI Enhanced (Nano Banana)', source: 'nanobanana' })) };
+};
+
+module.exports = { nanoBanana, upstreamConfig, UpstreamError };
@@ -0,0 +1,35 @@
+// session.js - Check the app's session token (the auth backend's JWT)
+//
+// The auth backend signs its tokens with HS256. The server only needs the same
+// secret (JWT_SECRET) to tell a signed-in user from an anonymous caller.
+const crypto = require('crypto');
+
+const base64UrlJson = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+// The token's payload, or null when it is malformed, badly signed or expired
+const verifySessionToken = (token, secret, now = Date.now()) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  try {
+    if (base64UrlJson(header).alg !== 'HS256') return null;
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    const claims = base64UrlJson(payload);
+    if (typeof claims.exp === 'number' && claims.exp * 1000 <= now) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sign a payload the way the auth backend does (used by the tests)
+const signSessionToken = (claims, secret) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+module.exports = { verifySessionToken, signSessionToken };
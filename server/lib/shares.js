@@ -0,0 +1,78 @@
+// shares.js - In-memory store for shared try-on results
+//
+// A development stand-in for the production share storage: shares live only as
+// long as the process. Each share gets a secret owner token, returned once at
+// creation, that is required to change its expiry or revoke it.
+const crypto = require('crypto');
+
+// Expiry in seconds; `null` means the link never expires
+const DEFAULT_EXPIRES_IN = 7 * 24 * 60 * 60;
+const MAX_EXPIRES_IN = 90 * 24 * 60 * 60;
+
+const createId = () => crypto.randomBytes(9).toString('base64url');
+
+const createShareStore = ({ now = Date.now } = {}) => {
+  const shares = new Map();
+
+  const expiryFrom = (expiresIn) => {
+    if (expiresIn === null) return null;
+    return now() + Math.min(expiresIn, MAX_EXPIRES_IN) * 1000;
+  };
+
+  // 'active', 'expired', 'revoked', or null for unknown ids
+  const statusOf = (share) => {
+    if (!share) return null;
+    if (share.revokedAt) return 'revoked';
+    if (share.expiresAt !== null && share.expiresAt <= now()) return 'expired';
+    return 'active';
+  };
+
+  const isOwner = (share, ownerToken) => {
+    if (!share || typeof ownerToken !== 'string') return false;
+    const given = Buffer.from(ownerToken);
+    const expected = Buffer.from(share.ownerToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  return {
+    create({ image, mimeType, title, expiresIn = DEFAULT_EXPIRES_IN }) {
+      const share = {
+        id: createId(),
+        ownerToken: crypto.randomBytes(24).toString('base64url'),
+        image,
+        mimeType,
+        title,
+        createdAt: now(),
+        expiresAt: expiryFrom(expiresIn),
+        revokedAt: null
+      };
+      shares.set(share.id, share);
+      return share;
+    },
+
+    get(id) {
+      const share = shares.get(id);
+      return share ? { share, status: statusOf(share) } : { share: null, status: null };
+    },
+
+    isOwner(id, ownerToken) {
+      return isOwner(shares.get(id), ownerToken);
+    },
+
+    setExpiry(id, expiresIn) {
+      const share = shares.get(id);
+      share.expiresAt = expiryFrom(expiresIn);
+      return share;
+    },
+
+    // Revoked shares keep a tombstone so their links report "revoked" rather than "not found"
+    revoke(id) {
+      const share = shares.get(id);
+      share.revokedAt = now();
+      share.image = null;
+      return share;
+    }
+  };
+};
+
+module.exports = { createShareStore, DEFAULT_EXPIRES_IN, MAX_EXPIRES_IN };
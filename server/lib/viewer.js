@@ -0,0 +1,76 @@
+// viewer.js - Server-rendered page for a shared try-on result
+//
+// Rendered on the server so link previews (Open Graph / Twitter cards) work
+// for crawlers that don't run JavaScript.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = ({ title, head = '', body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+${head}
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 16px; font-family: system-ui, sans-serif; background: #f9fafb; color: #1f2937; padding: 24px; box-sizing: border-box; }
+  img { max-width: 100%; max-height: 80vh; border-radius: 12px; box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15); }
+  a { color: #7c3aed; font-weight: 600; text-decoration: none; }
+  p { margin: 0; color: #6b7280; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const renderSharePage = ({ share, pageUrl, imageUrl, appUrl }) => {
+  const title = share.title || 'My StitchPix AI try-on';
+  const description = 'Virtual try-on created with StitchPix AI';
+  const meta = {
+    'og:type': 'website',
+    'og:site_name': 'StitchPix AI',
+    'og:title': title,
+    'og:description': description,
+    'og:url': pageUrl,
+    'og:image': imageUrl,
+    'og:image:type': share.mimeType
+  };
+
+  return layout({
+    title,
+    head: [
+      `<meta name="description" content="${escapeHtml(description)}">`,
+      ...Object.entries(meta).map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}">`),
+      '<meta name="twitter:card" content="summary_large_image">',
+      `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+      `<meta name="twitter:image" content="${escapeHtml(imageUrl)}">`
+    ].join('\n'),
+    body: [
+      `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(title)}">`,
+      share.expiresAt ? `<p>This link expires on ${escapeHtml(new Date(share.expiresAt).toUTCString())}</p>` : '',
+      `<a href="${escapeHtml(appUrl)}">Try on your own outfit with StitchPix AI</a>`
+    ].join('\n')
+  });
+};
+
+const GONE_MESSAGES = {
+  expired: 'This shared try-on has expired.',
+  revoked: 'This shared try-on is no longer available.'
+};
+
+const renderUnavailablePage = ({ status, appUrl }) => layout({
+  title: 'StitchPix AI',
+  body: [
+    `<p>${escapeHtml(GONE_MESSAGES[status] || 'This shared try-on does not exist.')}</p>`,
+    `<a href="${escapeHtml(appUrl)}">Go to StitchPix AI</a>`
+  ].join('\n')
+});
+
+module.exports = { escapeHtml, renderSharePage, renderUnavailablePage };
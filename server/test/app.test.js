@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const { upstreamConfig } = require('../lib/providers');
+const { signSessionToken } = require('../lib/session');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const SECRET = 'test-secret';
+const SESSION = signSessionToken({ sub: '42', exp: Math.floor(Date.now() / 1000) + 3600 }, SECRET);
+const upstreamCalls = [];
+let upstreamReply = () => ({ data: { output_url: 'https://cdn.example.com/out.png' } });
+
+const http = {
+  post: async (url, formData, options) => {
+    upstreamCalls.push({ url, formData, options });
+    return upstreamReply();
+  }
+};
+
+const upstream = upstreamConfig({ NANOBANANA_URL: 'https://tryon.example.com/v2', NANOBANANA_GARMENT_FIELD: 'clothing_image' });
+
+const listen = async (options) => {
+  const server = createApp({ http, upstream, sessionSecret: SECRET, ...options }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  ({ server, baseUrl } = await listen({ keys: { nanobanana: 'server-nb-key' } }));
+});
+
+after(() => server.close());
+
+const post = (path, body, token = SESSION, base = baseUrl) => fetch(`${base}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+  body: JSON.stringify(body)
+});
+
+test('forwards try-on images as multipart with the server key', async () => {
+  const response = await post('/api/nanobanana', { userPhoto: PNG, dressPhoto: PNG, apiKey: 'client-key' });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), {
+    images: [{ url: 'https://cdn.example.com/out.png', quality: 'AI Enhanced (Nano Banana)', source: 'nanobanana' }]
+  });
+
+  const call = upstreamCalls.at(-1);
+  assert.strictEqual(call.url, 'https://tryon.example.com/v2');
+  assert.strictEqual(call.options.headers.Authorization, 'Bearer server-nb-key');
+  assert.strictEqual(call.formData.get('person_image').type, 'image/png');
+  assert.strictEqual(call.formData.get('clothing_image').size, 8);
+});
+
+test('defaults to the public Nano Banana endpoint', () => {
+  assert.deepStrictEqual(upstreamConfig({}).nanobanana, {
+    url: 'https://api.nanobanana.ai/api/try-on',
+    fields: { personImage: 'person_image', garmentImage: 'garment_image' }
+  });
+});
+
+test('only runs providers for signed-in users', async () => {
+  const calls = upstreamCalls.length;
+
+  assert.strictEqual((await post('/api/nanobanana', { userPhoto: PNG, dressPhoto: PNG }, null)).status, 401);
+  assert.strictEqual((await post('/api/nanobanana', { userPhoto: PNG, dressPhoto: PNG }, signSessionToken({ sub: '42' }, 'other-secret'))).status, 401);
+  assert.strictEqual(upstreamCalls.length, calls);
+});
+
+test('rejects requests without image data URLs', async () => {
+  const response = await post('/api/nanobanana', { userPhoto: PNG, dressPhoto: 'https://example.com/dress.jpg' });
+
+  assert.strictEqual(response.status, 400);
+  assert.match((await response.json()).error, /dressPhoto/);
+});
+
+test('falls back to a client key only when the server has none', async () => {
+  const keyless = await listen({ keys: {} });
+  try {
+    const missing = await post('/api/nanobanana', { userPhoto: PNG, dressPhoto: PNG }, SESSION, keyless.baseUrl);
+    assert.strictEqual(missing.status, 503);
+
+    const response = await post('/api/nanobanana', { userPhoto: PNG, dressPhoto: PNG, apiKey: 'client-nb-key' }, SESSION, keyless.baseUrl);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(upstreamCalls.at(-1).options.headers.Authorization, 'Bearer client-nb-key');
+  } finally {
+    keyless.server.close();
+  }
+});
+
+test('reports upstream failures as 502', async () => {
+  upstreamReply = () => {
+    const error = new Error('Request failed');
+    error.response = { status: 429, data: { message: 'Rate limit exceeded' } };
+    throw error;
+  };
+
+  const response = await post('/api/nanobanana', { userPhoto: PNG, dressPhoto: PNG });
+
+  assert.strictEqual(response.status, 502);
+  assert.deepStrictEqual(await response.json(), {
+    error: 'Nano Banana request failed with status 429: Rate limit exceeded',
+    upstreamStatus: 429
+  });
+});
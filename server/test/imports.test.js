@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const { findPreviewImage, isPublicAddress } = require('../lib/imports');
+const { signSessionToken } = require('../lib/session');
+
+const PNG_BYTES = Buffer.from('iVBORw0KGgo=', 'base64');
+const SECRET = 'test-secret';
+const SESSION = signSessionToken({ sub: '42', exp: Math.floor(Date.now() / 1000) + 3600 }, SECRET);
+
+// Fake remote sites, keyed by URL
+const sites = {
+  'https://shop.example.com/dress.png': { status: 200, headers: { 'content-type': 'image/png' }, data: PNG_BYTES },
+  'https://shop.example.com/products/red-dress': {
+    status: 200,
+    headers: { 'content-type': 'text/html; charset=utf-8' },
+    data: Buffer.from('<html><head><meta property="og:image" content="/dress.png"></head></html>')
+  },
+  'https://shop.example.com/old-link': { status: 301, headers: { location: 'http://internal.example.com/secret.png' } },
+  'https://shop.example.com/readme.txt': { status: 200, headers: { 'content-type': 'text/plain' }, data: Buffer.from('hi') }
+};
+
+const requests = [];
+
+const http = {
+  get: async (url, options) => {
+    requests.push({ url, options });
+    const site = sites[url];
+    if (!site) {
+      const error = new Error('Request failed');
+      error.response = { status: 404 };
+      throw error;
+    }
+    return site;
+  }
+};
+
+const lookup = async (hostname) => [{ address: hostname === 'internal.example.com' ? '10.0.0.5' : '93.184.216.34' }];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createApp({ http, lookup, sessionSecret: SECRET }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const importUrl = (url, token = SESSION) => fetch(`${baseUrl}/api/import-image`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+  body: JSON.stringify({ url })
+});
+
+test('imports an image URL as a data URL', async () => {
+  const response = await importUrl('https://shop.example.com/dress.png');
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), {
+    image: 'data:image/png;base64,iVBORw0KGgo=',
+    sourceUrl: 'https://shop.example.com/dress.png'
+  });
+});
+
+test('requires a valid session', async () => {
+  assert.strictEqual((await importUrl('https://shop.example.com/dress.png', null)).status, 401);
+  assert.strictEqual((await importUrl('https://shop.example.com/dress.png', signSessionToken({ sub: '42' }, 'other-secret'))).status, 401);
+
+  const expired = signSessionToken({ sub: '42', exp: Math.floor(Date.now() / 1000) - 10 }, SECRET);
+  assert.strictEqual((await importUrl('https://shop.example.com/dress.png', expired)).status, 401);
+});
+
+test('connects to the address that was checked', async () => {
+  requests.length = 0;
+  await importUrl('https://shop.example.com/dress.png');
+
+  const resolved = await new Promise(resolve => requests[0].options.lookup('shop.example.com', {}, (error, address) => resolve(address)));
+  assert.strictEqual(resolved, '93.184.216.34');
+});
+
+test('uses the preview image of a product page', async () => {
+  const response = await importUrl('https://shop.example.com/products/red-dress');
+
+  assert.strictEqual((await response.json()).sourceUrl, 'https://shop.example.com/dress.png');
+});
+
+test('refuses private addresses, also after a redirect', async () => {
+  const direct = await importUrl('http://127.0.0.1:8080/admin.png');
+  assert.strictEqual(direct.status, 422);
+
+  // The URL parser rewrites these to hex form (e.g. [::ffff:7f00:1])
+  for (const host of ['[::ffff:127.0.0.1]', '[::ffff:169.254.169.254]', '[::127.0.0.1]', '[64:ff9b::10.0.0.1]', '[::1]']) {
+    const response = await importUrl(`http://${host}/admin.png`);
+    assert.strictEqual(response.status, 422, host);
+  }
+
+  const redirected = await importUrl('https://shop.example.com/old-link');
+  assert.strictEqual(redirected.status, 422);
+  assert.match((await redirected.json()).error, /private address/);
+});
+
+test('explains links that are not images', async () => {
+  const response = await importUrl('https://shop.example.com/readme.txt');
+
+  assert.strictEqual(response.status, 422);
+  assert.match((await response.json()).error, /not a JPEG, PNG, WebP or GIF/);
+  assert.strictEqual((await importUrl('ftp://shop.example.com/a.png')).status, 422);
+});
+
+test('classifies addresses and preview tags', () => {
+  assert.strictEqual(isPublicAddress('93.184.216.34'), true);
+  assert.strictEqual(isPublicAddress('192.168.1.10'), false);
+  assert.strictEqual(isPublicAddress('::ffff:127.0.0.1'), false);
+  for (const url of ['http://[::ffff:127.0.0.1]/', 'http://[::ffff:169.254.169.254]/', 'http://[::127.0.0.1]/', 'http://[::ffff:8.8.8.8]/']) {
+    assert.strictEqual(isPublicAddress(new URL(url).hostname.slice(1, -1)), false, url);
+  }
+  assert.strictEqual(isPublicAddress('2606:4700::1111'), true);
+  assert.strictEqual(isPublicAddress('fd00::1'), false);
+  assert.strictEqual(
+    findPreviewImage('<meta content="https://cdn.example.com/a.jpg?w=1&amp;h=2" name="twitter:image">', 'https://shop.example.com/'),
+    'https://cdn.example.com/a.jpg?w=1&h=2'
+  );
+});
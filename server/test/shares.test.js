@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const { createShareStore } = require('../lib/shares');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const PUBLIC_URL = 'https://share.example.com';
+const DAY = 24 * 60 * 60;
+
+let clock = Date.UTC(2026, 0, 1);
+let server;
+let baseUrl;
+
+before(async () => {
+  const shares = createShareStore({ now: () => clock });
+  server = createApp({ shares, publicUrl: PUBLIC_URL, appUrl: 'https://app.example.com' }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const request = (method, path, { body, token } = {}) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { 'X-Share-Token': token } : {})
+  },
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+const createShare = async (body = {}) => {
+  const response = await request('POST', '/api/shares', { body: { image: PNG, title: 'Red dress', ...body } });
+  assert.strictEqual(response.status, 201);
+  return response.json();
+};
+
+test('creates a public permalink with a viewer page and image', async () => {
+  const share = await createShare({ expiresIn: DAY });
+
+  assert.strictEqual(share.url, `${PUBLIC_URL}/s/${share.id}`);
+  assert.strictEqual(share.imageUrl, `${PUBLIC_URL}/api/shares/${share.id}/image`);
+  assert.strictEqual(share.expiresAt, new Date(clock + DAY * 1000).toISOString());
+  assert.ok(share.ownerToken);
+
+  const meta = await (await request('GET', `/api/shares/${share.id}`)).json();
+  assert.strictEqual(meta.title, 'Red dress');
+  assert.strictEqual(meta.ownerToken, undefined);
+
+  const image = await request('GET', `/api/shares/${share.id}/image`);
+  assert.strictEqual(image.headers.get('content-type'), 'image/png');
+  assert.strictEqual((await image.arrayBuffer()).byteLength, 8);
+
+  const page = await request('GET', `/s/${share.id}`);
+  const html = await page.text();
+  assert.strictEqual(page.status, 200);
+  assert.match(html, new RegExp(`<meta property="og:image" content="${share.imageUrl}">`));
+  assert.match(html, /<meta property="og:title" content="Red dress">/);
+  assert.match(html, /<meta name="twitter:card" content="summary_large_image">/);
+});
+
+test('escapes titles in the viewer page', async () => {
+  const share = await createShare({ title: '<script>alert(1)</script>' });
+  const html = await (await request('GET', `/s/${share.id}`)).text();
+
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /&lt;script&gt;/);
+});
+
+test('rejects images that are not safe to serve back', async () => {
+  const response = await request('POST', '/api/shares', { body: { image: 'data:image/svg+xml;base64,PHN2Zy8+' } });
+  assert.strictEqual(response.status, 415);
+});
+
+test('expires links and lets the owner extend them', async () => {
+  const share = await createShare({ expiresIn: DAY });
+  clock += 2 * DAY * 1000;
+
+  assert.strictEqual((await request('GET', `/api/shares/${share.id}`)).status, 410);
+  assert.strictEqual((await request('GET', `/s/${share.id}`)).status, 410);
+
+  const forbidden = await request('PATCH', `/api/shares/${share.id}`, { body: { expiresIn: DAY }, token: 'wrong' });
+  assert.strictEqual(forbidden.status, 403);
+
+  const extended = await request('PATCH', `/api/shares/${share.id}`, { body: { expiresIn: null }, token: share.ownerToken });
+  assert.strictEqual((await extended.json()).expiresAt, null);
+  assert.strictEqual((await request('GET', `/api/shares/${share.id}`)).status, 200);
+});
+
+test('revokes links for the owner only', async () => {
+  const share = await createShare();
+
+  assert.strictEqual((await request('DELETE', `/api/shares/${share.id}`)).status, 403);
+  assert.strictEqual((await request('DELETE', `/api/shares/${share.id}`, { token: share.ownerToken })).status, 204);
+
+  assert.strictEqual((await request('GET', `/api/shares/${share.id}/image`)).status, 410);
+  const page = await request('GET', `/s/${share.id}`);
+  assert.match(await page.text(), /no longer available/);
+  assert.strictEqual((await request('GET', '/s/unknown')).status, 404);
+});
@@ -1,8 +1,52 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+  </MemoryRouter>
+);
+
+const signIn = () => {
+  localStorage.setItem('token', 'session-token');
+  localStorage.setItem('user', JSON.stringify({ name: 'Test User', email: 'user@example.com' }));
+};
+
+afterEach(() => {
+  localStorage.clear();
+  delete global.fetch;
+});
+
+test('sends signed-out visitors to the login page', () => {
+  renderAt('/studio');
+
+  expect(screen.getByText('Login to Account')).toBeInTheDocument();
+  expect(screen.queryByText('Virtual Try-On Studio')).not.toBeInTheDocument();
+});
+
+test('returns to the requested page after logging in', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({ token: 'session-token', user: { name: 'Test User', email: 'user@example.com' } })
+  });
+  renderAt('/history');
+
+  fireEvent.change(screen.getByPlaceholderText('you@example.com'), { target: { value: 'user@example.com' } });
+  fireEvent.change(screen.getByPlaceholderText('••••••••'), { target: { value: 'Tailored7Fit' } });
+  fireEvent.click(screen.getByText('Login to Account'));
+
+  expect(await screen.findByRole('heading', { name: /history/i })).toBeInTheDocument();
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ email: 'user@example.com', password: 'Tailored7Fit' });
+});
+
+test('/results without a session goes to the login page, and without results to the studio', () => {
+  const { unmount } = renderAt('/results');
+  expect(screen.getByText('Login to Account')).toBeInTheDocument();
+  unmount();
+
+  signIn();
+  renderAt('/results');
+  expect(screen.getByText('Virtual Try-On Studio')).toBeInTheDocument();
 });
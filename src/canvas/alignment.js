@@ -0,0 +1,32 @@
+// alignment.js - Map a source face onto a target face by eye line and face scale
+
+export const eyeMidpoint = (face) => ({
+  x: (face.leftEye.x + face.rightEye.x) / 2,
+  y: (face.leftEye.y + face.rightEye.y) / 2
+});
+
+const eyeDistance = (face) => Math.hypot(face.rightEye.x - face.leftEye.x, face.rightEye.y - face.leftEye.y);
+
+const eyeAngle = (face) => Math.atan2(face.rightEye.y - face.leftEye.y, face.rightEye.x - face.leftEye.x);
+
+// Returns the transform that puts the source eye midpoint on the target eye
+// midpoint, matches the eye distance and levels the eye lines
+export const computeAlignment = (source, target) => {
+  const sourceDistance = eyeDistance(source);
+  const scale = sourceDistance > 0 ? eyeDistance(target) / sourceDistance : target.width / source.width;
+
+  return {
+    scale,
+    rotation: eyeAngle(target) - eyeAngle(source),
+    sourceAnchor: eyeMidpoint(source),
+    targetAnchor: eyeMidpoint(target)
+  };
+};
+
+// Apply an alignment to a canvas context so the source image can be drawn at 0,0
+export const applyAlignment = (ctx, { scale, rotation, sourceAnchor, targetAnchor }) => {
+  ctx.translate(targetAnchor.x, targetAnchor.y);
+  ctx.rotate(rotation);
+  ctx.scale(scale, scale);
+  ctx.translate(-sourceAnchor.x, -sourceAnchor.y);
+};
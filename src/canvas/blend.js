@@ -0,0 +1,86 @@
+// blend.js - Soft masks and colour matching for pasting a face onto the model
+import { isSkin } from './faceLocator';
+
+const MIN_SKIN_SAMPLES = 50;
+
+// Soft elliptical alpha mask covering the face box. `feather` is the fraction
+// of the ellipse radius that fades out (0 = hard edge), rotation is in radians.
+export const drawFeatheredEllipse = (ctx, box, feather, rotation = 0) => {
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+  const radiusX = box.width / 2;
+  const radiusY = box.height / 2;
+
+  ctx.save();
+  ctx.translate(centerX, centerY);
+  ctx.rotate(rotation);
+  ctx.scale(1, radiusY / radiusX);
+
+  if (feather > 0) {
+    const gradient = ctx.createRadialGradient(0, 0, radiusX * (1 - feather), 0, 0, radiusX);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+  } else {
+    ctx.fillStyle = 'rgba(0, 0, 0, 1)';
+  }
+
+  ctx.beginPath();
+  ctx.arc(0, 0, radiusX, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+};
+
+// Per-channel mean and standard deviation of the pixels the filter accepts.
+// Skin pixels are preferred; when there are too few, every opaque pixel counts.
+export const computeColorStats = (pixels) => {
+  const collect = (accept) => {
+    const sum = [0, 0, 0];
+    const sumSquares = [0, 0, 0];
+    let count = 0;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i + 3] < 128 || !accept(pixels[i], pixels[i + 1], pixels[i + 2])) continue;
+      for (let c = 0; c < 3; c++) {
+        sum[c] += pixels[i + c];
+        sumSquares[c] += pixels[i + c] * pixels[i + c];
+      }
+      count++;
+    }
+
+    if (!count) return null;
+    const mean = sum.map(total => total / count);
+    const std = sumSquares.map((total, c) => Math.sqrt(Math.max(total / count - mean[c] * mean[c], 0)));
+    return { mean, std, count };
+  };
+
+  const skin = collect(isSkin);
+  return skin && skin.count >= MIN_SKIN_SAMPLES ? skin : collect(() => true);
+};
+
+// Mean/variance colour transfer (Reinhard style, per RGB channel), blended by strength 0-1
+export const transferColor = (pixels, sourceStats, targetStats, strength) => {
+  if (!sourceStats || !targetStats || strength <= 0) return pixels;
+
+  const gains = sourceStats.std.map((std, c) => (
+    std > 1 ? Math.min(Math.max(targetStats.std[c] / std, 0.5), 2) : 1
+  ));
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (!pixels[i + 3]) continue;
+    for (let c = 0; c < 3; c++) {
+      const matched = (pixels[i + c] - sourceStats.mean[c]) * gains[c] + targetStats.mean[c];
+      pixels[i + c] = pixels[i + c] + strength * (matched - pixels[i + c]);
+    }
+  }
+  return pixels;
+};
+
+// The model's visible skin: the face itself plus the neck just below it
+export const skinSampleBox = (face, canvasWidth, canvasHeight) => {
+  const x = Math.max(0, Math.round(face.x));
+  const y = Math.max(0, Math.round(face.y));
+  const right = Math.min(canvasWidth, Math.round(face.x + face.width));
+  const bottom = Math.min(canvasHeight, Math.round(face.y + face.height * 1.4));
+  return { x, y, width: Math.max(1, right - x), height: Math.max(1, bottom - y) };
+};
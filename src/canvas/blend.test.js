@@ -0,0 +1,32 @@
+import { computeColorStats, transferColor } from './blend';
+
+const fill = (count, color) => {
+  const pixels = new Uint8ClampedArray(count * 4);
+  for (let i = 0; i < count; i++) pixels.set([...color, 255], i * 4);
+  return pixels;
+};
+
+test('measures skin pixels and ignores the background', () => {
+  const pixels = new Uint8ClampedArray([...fill(60, [220, 170, 140]), ...fill(60, [20, 60, 200])]);
+  const stats = computeColorStats(pixels);
+
+  expect(stats.count).toBe(60);
+  expect(stats.mean).toEqual([220, 170, 140]);
+  expect(stats.std).toEqual([0, 0, 0]);
+});
+
+test('moves colours toward the target by the given strength', () => {
+  const face = fill(4, [200, 150, 120]);
+  const source = { mean: [200, 150, 120], std: [10, 10, 10] };
+  const target = { mean: [160, 110, 90], std: [10, 10, 10] };
+
+  transferColor(face, source, target, 0.5);
+
+  expect(Array.from(face.slice(0, 4))).toEqual([180, 130, 105, 255]);
+});
+
+test('leaves pixels alone at zero strength', () => {
+  const face = fill(2, [200, 150, 120]);
+  transferColor(face, { mean: [0, 0, 0], std: [1, 1, 1] }, { mean: [255, 255, 255], std: [1, 1, 1] }, 0);
+  expect(Array.from(face.slice(0, 3))).toEqual([200, 150, 120]);
+});
@@ -0,0 +1,227 @@
+// faceLocator.js - On-device face and head localization (no external services)
+//
+// Uses the browser's built-in FaceDetector when it exists, otherwise finds the
+// largest skin-coloured blob in the upper part of the image and estimates the
+// eye line from the darkest band inside it. Results are in image pixels:
+//   { x, y, width, height, leftEye: { x, y }, rightEye: { x, y }, method }
+
+const ANALYSIS_SIZE = 160;
+const MIN_FACE_FRACTION = 0.004;
+
+// Classic YCbCr skin range, robust across most skin tones
+export const isSkin = (r, g, b) => {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+};
+
+const luminance = (pixels, index) => (
+  0.299 * pixels[index] + 0.587 * pixels[index + 1] + 0.114 * pixels[index + 2]
+);
+
+// Connected skin regions (4-connectivity) with their bounding boxes
+const findSkinRegions = (pixels, width, height) => {
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    mask[i] = isSkin(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]) ? 1 : 0;
+  }
+
+  const labels = new Int32Array(width * height);
+  const regions = [];
+  const stack = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const region = { area: 0, minX: width, minY: height, maxX: 0, maxY: 0, rows: new Map() };
+    regions.push(region);
+    labels[start] = regions.length;
+    stack.push(start);
+
+    while (stack.length) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+
+      region.area++;
+      region.minX = Math.min(region.minX, x);
+      region.maxX = Math.max(region.maxX, x);
+      region.minY = Math.min(region.minY, y);
+      region.maxY = Math.max(region.maxY, y);
+      const row = region.rows.get(y) || { minX: x, maxX: x };
+      row.minX = Math.min(row.minX, x);
+      row.maxX = Math.max(row.maxX, x);
+      region.rows.set(y, row);
+
+      [
+        x > 0 && index - 1,
+        x < width - 1 && index + 1,
+        y > 0 && index - width,
+        y < height - 1 && index + width
+      ].forEach(next => {
+        if (next !== false && mask[next] && !labels[next]) {
+          labels[next] = regions.length;
+          stack.push(next);
+        }
+      });
+    }
+  }
+
+  return regions;
+};
+
+// Head box from a skin region: a region that runs into the neck/shoulders is
+// cut off at a typical face height based on its widest row near the top
+const headBoxFromRegion = (region) => {
+  let faceWidth = 0;
+  let faceLeft = region.minX;
+  const searchRows = Math.max(3, Math.round((region.maxY - region.minY + 1) * 0.6));
+
+  for (let y = region.minY; y < region.minY + searchRows; y++) {
+    const row = region.rows.get(y);
+    if (row && row.maxX - row.minX + 1 > faceWidth) {
+      faceWidth = row.maxX - row.minX + 1;
+      faceLeft = row.minX;
+    }
+  }
+
+  const regionHeight = region.maxY - region.minY + 1;
+  return {
+    x: faceLeft,
+    y: region.minY,
+    width: faceWidth,
+    height: Math.min(regionHeight, Math.round(faceWidth * 1.35))
+  };
+};
+
+const scoreRegion = (box, area, width, height) => {
+  const aspect = box.height / box.width;
+  const aspectScore = aspect >= 0.9 && aspect <= 1.6 ? 1 : 0.4;
+  const verticalScore = 1 - Math.min(box.y / height, 0.9);
+  const fill = area / (box.width * box.height);
+  return area * aspectScore * verticalScore * Math.min(fill * 1.5, 1);
+};
+
+// Eyes sit on the darkest horizontal band in the upper half of the face
+export const estimateEyeLine = (pixels, width, box) => {
+  const top = Math.round(box.y + box.height * 0.2);
+  const bottom = Math.round(box.y + box.height * 0.55);
+  const left = Math.round(box.x + box.width * 0.15);
+  const right = Math.round(box.x + box.width * 0.85);
+
+  let darkestY = box.y + box.height * 0.4;
+  let darkest = Infinity;
+
+  for (let y = top; y <= bottom; y++) {
+    let total = 0;
+    for (let x = left; x <= right; x++) {
+      total += luminance(pixels, (y * width + x) * 4);
+    }
+    const mean = total / Math.max(right - left + 1, 1);
+    if (mean < darkest) {
+      darkest = mean;
+      darkestY = y;
+    }
+  }
+
+  return darkestY;
+};
+
+// Locate a face in raw RGBA pixels, or return null when no plausible face exists
+export const detectFaceInPixels = (pixels, width, height) => {
+  const candidates = findSkinRegions(pixels, width, height)
+    .filter(region => region.area >= width * height * MIN_FACE_FRACTION)
+    .map(region => {
+      const box = headBoxFromRegion(region);
+      return { box, score: scoreRegion(box, region.area, width, height) };
+    })
+    .filter(({ box }) => box.width >= 4 && box.height >= 4)
+    .sort((a, b) => b.score - a.score);
+
+  if (!candidates.length) return null;
+
+  const { box } = candidates[0];
+  const eyeY = estimateEyeLine(pixels, width, box);
+
+  return {
+    ...box,
+    leftEye: { x: box.x + box.width * 0.3, y: eyeY },
+    rightEye: { x: box.x + box.width * 0.7, y: eyeY },
+    method: 'skin'
+  };
+};
+
+const detectWithFaceDetector = async (image) => {
+  if (typeof window === 'undefined' || !('FaceDetector' in window)) return null;
+
+  try {
+    const detector = new window.FaceDetector({ fastMode: false, maxDetectedFaces: 1 });
+    const [face] = await detector.detect(image);
+    if (!face) return null;
+
+    const { x, y, width, height } = face.boundingBox;
+    const eyes = (face.landmarks || [])
+      .filter(landmark => landmark.type === 'eye')
+      .map(landmark => landmark.locations[0])
+      .sort((a, b) => a.x - b.x);
+
+    return {
+      x,
+      y,
+      width,
+      height,
+      leftEye: eyes[0] || { x: x + width * 0.3, y: y + height * 0.4 },
+      rightEye: eyes[1] || { x: x + width * 0.7, y: y + height * 0.4 },
+      method: 'face-detector'
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+const scaleFace = (face, factor) => ({
+  ...face,
+  x: face.x * factor,
+  y: face.y * factor,
+  width: face.width * factor,
+  height: face.height * factor,
+  leftEye: { x: face.leftEye.x * factor, y: face.leftEye.y * factor },
+  rightEye: { x: face.rightEye.x * factor, y: face.rightEye.y * factor }
+});
+
+// Face box used when nothing is detected: the fixed fractions the canvas
+// engine always used, given as { x, y, width, height } fractions of the image
+export const fallbackFace = (imageWidth, imageHeight, fractions) => {
+  const box = {
+    x: imageWidth * fractions.x,
+    y: imageHeight * fractions.y,
+    width: imageWidth * fractions.width,
+    height: imageHeight * fractions.height
+  };
+  const eyeY = box.y + box.height * 0.4;
+  return {
+    ...box,
+    leftEye: { x: box.x + box.width * 0.3, y: eyeY },
+    rightEye: { x: box.x + box.width * 0.7, y: eyeY },
+    method: 'fallback'
+  };
+};
+
+export const locateFace = async (image, fallbackFractions) => {
+  const nativeFace = await detectWithFaceDetector(image);
+  if (nativeFace) return nativeFace;
+
+  const factor = Math.min(1, ANALYSIS_SIZE / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * factor));
+  const height = Math.max(1, Math.round(image.height * factor));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+
+  const face = detectFaceInPixels(ctx.getImageData(0, 0, width, height).data, width, height);
+  return face ? scaleFace(face, 1 / factor) : fallbackFace(image.width, image.height, fallbackFractions);
+};
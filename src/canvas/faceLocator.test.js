@@ -0,0 +1,59 @@
+import { computeAlignment } from './alignment';
+import { detectFaceInPixels, fallbackFace } from './faceLocator';
+
+const SKIN = [224, 172, 140];
+const EYES = [70, 50, 40];
+const BACKGROUND = [40, 90, 200];
+
+// Paint a synthetic portrait: an oval face with a dark eye band and a neck below it
+const paintPortrait = (width, height, face) => {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const centerX = face.x + face.width / 2;
+  const centerY = face.y + face.height / 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inFace = ((x - centerX) / (face.width / 2)) ** 2 + ((y - centerY) / (face.height / 2)) ** 2 <= 1;
+      const inNeck = Math.abs(x - centerX) < face.width * 0.2 && y > centerY && y < face.y + face.height * 1.6;
+      const inEyes = inFace && Math.abs(y - face.eyeY) <= 1 && Math.abs(x - centerX) > face.width * 0.1 && Math.abs(x - centerX) < face.width * 0.35;
+      const color = inEyes ? EYES : inFace || inNeck ? SKIN : BACKGROUND;
+      pixels.set([...color, 255], (y * width + x) * 4);
+    }
+  }
+  return pixels;
+};
+
+test('finds an off-centre face and its eye line', () => {
+  const face = { x: 70, y: 40, width: 40, height: 52, eyeY: 60 };
+  const detected = detectFaceInPixels(paintPortrait(160, 160, face), 160, 160);
+
+  expect(detected.method).toBe('skin');
+  expect(Math.abs(detected.x - face.x)).toBeLessThanOrEqual(2);
+  expect(Math.abs(detected.y - face.y)).toBeLessThanOrEqual(2);
+  expect(Math.abs(detected.width - face.width)).toBeLessThanOrEqual(3);
+  // The neck is not counted as part of the face
+  expect(detected.height).toBeLessThan(face.height * 1.4);
+  expect(Math.abs(detected.leftEye.y - face.eyeY)).toBeLessThanOrEqual(1);
+});
+
+test('returns null when there is no skin-coloured region', () => {
+  const pixels = new Uint8ClampedArray(20 * 20 * 4).fill(30);
+  expect(detectFaceInPixels(pixels, 20, 20)).toBeNull();
+});
+
+test('falls back to fixed fractions of the image', () => {
+  const face = fallbackFace(200, 100, { x: 0.25, y: 0.1, width: 0.5, height: 0.4 });
+  expect(face).toMatchObject({ x: 50, y: 10, width: 100, height: 40, method: 'fallback' });
+});
+
+test('aligns faces by eye line and eye distance', () => {
+  const source = { width: 100, leftEye: { x: 100, y: 100 }, rightEye: { x: 140, y: 100 } };
+  const target = { width: 50, leftEye: { x: 300, y: 50 }, rightEye: { x: 310, y: 60 } };
+
+  const alignment = computeAlignment(source, target);
+
+  expect(alignment.scale).toBeCloseTo(Math.hypot(10, 10) / 40);
+  expect(alignment.rotation).toBeCloseTo(Math.PI / 4);
+  expect(alignment.sourceAnchor).toEqual({ x: 120, y: 100 });
+  expect(alignment.targetAnchor).toEqual({ x: 305, y: 55 });
+});
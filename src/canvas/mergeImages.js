@@ -0,0 +1,170 @@
+// mergeImages.js - Canvas merge engine (works offline, no API key needed)
+import { loadImage } from '../utils/image';
+import { applyAlignment, computeAlignment } from './alignment';
+import { computeColorStats, drawFeatheredEllipse, skinSampleBox, transferColor } from './blend';
+import { locateFace } from './faceLocator';
+
+// Where faces were assumed to be before localization, used when none is found
+const USER_FACE_FALLBACK = { x: 0.25, y: 0.1, width: 0.5, height: 0.4 };
+const dressFaceFallback = (dressImg) => ({
+  x: 0.375,
+  y: 0.08,
+  width: 0.25,
+  height: (0.25 * 1.2 * dressImg.width) / dressImg.height
+});
+
+const originalResult = (url) => [{
+  id: 1,
+  url,
+  quality: 'Original',
+  source: 'original'
+}];
+
+export const DEFAULT_MERGE_OPTIONS = { feather: 0.25, colorMatch: 0.6 };
+
+// Manual adjustment on top of the automatic alignment. Offsets are fractions
+// of the model's face size, rotation is in radians.
+export const IDENTITY_PLACEMENT = { scale: 1, offsetX: 0, offsetY: 0, rotation: 0 };
+
+// Variations the canvas engine renders so the user can pick the best one
+export const MERGE_VARIANTS = [
+  { label: 'Balanced', placement: IDENTITY_PLACEMENT, blend: 1 },
+  { label: 'Larger face', placement: { ...IDENTITY_PLACEMENT, scale: 1.08, offsetY: -0.03 }, blend: 1 },
+  { label: 'Smaller face', placement: { ...IDENTITY_PLACEMENT, scale: 0.93, offsetY: 0.02 }, blend: 1 },
+  { label: 'Soft blend', placement: { ...IDENTITY_PLACEMENT, offsetY: 0.01 }, blend: 1.5 }
+];
+
+const clampBox = (box, width, height) => {
+  const x = Math.max(0, Math.floor(box.x));
+  const y = Math.max(0, Math.floor(box.y));
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(width, Math.ceil(box.x + box.width)) - x),
+    height: Math.max(1, Math.min(height, Math.ceil(box.y + box.height)) - y)
+  };
+};
+
+// Load both photos and localize the faces once, so variants and later edits
+// can be rendered without repeating the detection
+export const prepareMerge = async (userPhotoData, dressPhotoData) => {
+  const [userImg, dressImg] = await Promise.all([loadImage(userPhotoData), loadImage(dressPhotoData)]);
+  const [userFace, dressFace] = await Promise.all([
+    locateFace(userImg, USER_FACE_FALLBACK),
+    locateFace(dressImg, dressFaceFallback(dressImg))
+  ]);
+  return { userImg, dressImg, userFace, dressFace };
+};
+
+// Where the face mask sits on the model once the placement is applied
+export const placedFaceBox = (dressFace, placement = IDENTITY_PLACEMENT) => {
+  const width = dressFace.width * placement.scale;
+  const height = dressFace.height * placement.scale;
+  const centerX = dressFace.x + dressFace.width / 2 + placement.offsetX * dressFace.width;
+  const centerY = dressFace.y + dressFace.height / 2 + placement.offsetY * dressFace.height;
+  return { x: centerX - width / 2, y: centerY - height / 2, width, height, rotation: placement.rotation };
+};
+
+const scaleBox = (box, factor) => ({
+  x: box.x * factor,
+  y: box.y * factor,
+  width: box.width * factor,
+  height: box.height * factor
+});
+
+// Render one merged image onto a new canvas of the dress photo's size.
+// feather: fraction of the mask radius that fades out, colorMatch: strength 0-1.
+// outputScale < 1 renders a smaller copy, e.g. for a live editing preview.
+export const renderMerge = ({ userImg, dressImg, userFace, dressFace }, {
+  placement = IDENTITY_PLACEMENT,
+  feather = DEFAULT_MERGE_OPTIONS.feather,
+  colorMatch = DEFAULT_MERGE_OPTIONS.colorMatch
+} = {}, outputScale = 1) => {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  // Set canvas to dress image size
+  canvas.width = Math.max(1, Math.round(dressImg.width * outputScale));
+  canvas.height = Math.max(1, Math.round(dressImg.height * outputScale));
+
+  // Everything below is drawn in dress image coordinates
+  ctx.scale(outputScale, outputScale);
+
+  // First draw the complete dress image
+  ctx.drawImage(dressImg, 0, 0, dressImg.width, dressImg.height);
+
+  const alignment = computeAlignment(userFace, dressFace);
+  const faceBox = placedFaceBox(dressFace, placement);
+
+  // Draw the user photo on its own layer so their eyes land on the model's eye line
+  const faceLayer = document.createElement('canvas');
+  faceLayer.width = canvas.width;
+  faceLayer.height = canvas.height;
+  const faceCtx = faceLayer.getContext('2d', { willReadFrequently: true });
+  faceCtx.scale(outputScale, outputScale);
+  faceCtx.save();
+  applyAlignment(faceCtx, {
+    ...alignment,
+    scale: alignment.scale * placement.scale,
+    rotation: alignment.rotation + placement.rotation,
+    targetAnchor: {
+      x: alignment.targetAnchor.x + placement.offsetX * dressFace.width,
+      y: alignment.targetAnchor.y + placement.offsetY * dressFace.height
+    }
+  });
+  faceCtx.drawImage(userImg, 0, 0);
+  faceCtx.restore();
+
+  // Match the pasted face's colour and brightness to the model's face and neck
+  // (pixel access ignores the canvas transform, so boxes are scaled by hand)
+  if (colorMatch > 0) {
+    const pasteBox = clampBox(scaleBox(faceBox, outputScale), canvas.width, canvas.height);
+    const sampleBox = skinSampleBox(scaleBox(dressFace, outputScale), canvas.width, canvas.height);
+    const faceData = faceCtx.getImageData(pasteBox.x, pasteBox.y, pasteBox.width, pasteBox.height);
+    const modelSkin = ctx.getImageData(sampleBox.x, sampleBox.y, sampleBox.width, sampleBox.height).data;
+
+    transferColor(faceData.data, computeColorStats(faceData.data), computeColorStats(modelSkin), colorMatch);
+    faceCtx.putImageData(faceData, pasteBox.x, pasteBox.y);
+  }
+
+  // Keep only a soft ellipse around the face, then blend it in
+  faceCtx.globalCompositeOperation = 'destination-in';
+  drawFeatheredEllipse(faceCtx, faceBox, feather, faceBox.rotation);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.drawImage(faceLayer, 0, 0);
+
+  return canvas;
+};
+
+// Canvas Merge - localizes both faces, aligns them by eye line and face scale,
+// matches skin tone to the model and blends the face in with a feathered mask.
+// Renders up to `variants` variations with different face scale, offset and blend.
+export const createMergedImages = async (userPhotoData, dressPhotoData, options = {}) => {
+  const { feather, colorMatch, variants = MERGE_VARIANTS.length } = { ...DEFAULT_MERGE_OPTIONS, ...options };
+
+  let prepared;
+  try {
+    prepared = await prepareMerge(userPhotoData, dressPhotoData);
+  } catch (error) {
+    // Show whichever photo still loads
+    const userLoads = await loadImage(userPhotoData).then(() => true, () => false);
+    return originalResult(userLoads ? userPhotoData : dressPhotoData);
+  }
+
+  return MERGE_VARIANTS.slice(0, Math.max(1, variants)).map((variant, index) => {
+    const merge = {
+      placement: variant.placement,
+      feather: Math.min(feather * variant.blend, 0.9),
+      colorMatch: Math.min(colorMatch * variant.blend, 1)
+    };
+
+    return {
+      id: index + 1,
+      url: renderMerge(prepared, merge).toDataURL('image/png', 1.0),
+      quality: 'Canvas Merged',
+      source: 'canvas',
+      label: variant.label,
+      merge
+    };
+  });
+};
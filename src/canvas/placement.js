@@ -0,0 +1,39 @@
+// placement.js - Pointer math for adjusting the pasted face of a canvas result
+import { placedFaceBox } from './mergeImages';
+
+export const MIN_SCALE = 0.3;
+export const MAX_SCALE = 3;
+
+// Remembers where a drag started; points are in dress image pixels and
+// mode is 'move', 'scale' or 'rotate'
+export const beginDrag = (mode, placement, dressFace, point) => {
+  const box = placedFaceBox(dressFace, placement);
+  const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  return {
+    mode,
+    start: point,
+    center,
+    placement,
+    distance: Math.hypot(point.x - center.x, point.y - center.y) || 1,
+    angle: Math.atan2(point.y - center.y, point.x - center.x)
+  };
+};
+
+// Placement once the pointer has moved to `point`. Moving is relative to the
+// model's face size, scaling follows the distance from the face centre.
+export const dragPlacement = (drag, point, dressFace) => {
+  if (drag.mode === 'move') {
+    return {
+      ...drag.placement,
+      offsetX: drag.placement.offsetX + (point.x - drag.start.x) / dressFace.width,
+      offsetY: drag.placement.offsetY + (point.y - drag.start.y) / dressFace.height
+    };
+  }
+  if (drag.mode === 'scale') {
+    const distance = Math.hypot(point.x - drag.center.x, point.y - drag.center.y);
+    const scale = drag.placement.scale * (distance / drag.distance);
+    return { ...drag.placement, scale: Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE) };
+  }
+  const angle = Math.atan2(point.y - drag.center.y, point.x - drag.center.x);
+  return { ...drag.placement, rotation: drag.placement.rotation + angle - drag.angle };
+};
@@ -0,0 +1,40 @@
+import { IDENTITY_PLACEMENT, placedFaceBox } from './mergeImages';
+import { MAX_SCALE, MIN_SCALE, beginDrag, dragPlacement } from './placement';
+
+// Centred on (140, 100)
+const dressFace = { x: 100, y: 50, width: 80, height: 100 };
+
+test('places the face box from scale and offsets', () => {
+  expect(placedFaceBox(dressFace)).toEqual({ ...dressFace, rotation: 0 });
+  expect(placedFaceBox(dressFace, { scale: 2, offsetX: 0.5, offsetY: -0.5, rotation: 0.3 }))
+    .toEqual({ x: 100, y: -50, width: 160, height: 200, rotation: 0.3 });
+});
+
+test('moves the face by the drag distance relative to the face size', () => {
+  const drag = beginDrag('move', IDENTITY_PLACEMENT, dressFace, { x: 140, y: 100 });
+
+  const placement = dragPlacement(drag, { x: 160, y: 75 }, dressFace);
+
+  expect(placement).toEqual({ scale: 1, offsetX: 0.25, offsetY: -0.25, rotation: 0 });
+  expect(placedFaceBox(dressFace, placement)).toMatchObject({ x: 120, y: 25 });
+});
+
+test('scales with the distance from the face centre', () => {
+  const drag = beginDrag('scale', IDENTITY_PLACEMENT, dressFace, { x: 180, y: 100 });
+
+  expect(dragPlacement(drag, { x: 220, y: 100 }, dressFace).scale).toBe(2);
+  expect(dragPlacement(drag, { x: 140, y: 70 }, dressFace).scale).toBe(0.75);
+});
+
+test('clamps the scale', () => {
+  const drag = beginDrag('scale', { ...IDENTITY_PLACEMENT, scale: 1.5 }, dressFace, { x: 180, y: 100 });
+
+  expect(dragPlacement(drag, { x: 141, y: 100 }, dressFace).scale).toBe(MIN_SCALE);
+  expect(dragPlacement(drag, { x: 1000, y: 100 }, dressFace).scale).toBe(MAX_SCALE);
+});
+
+test('rotates by the angle swept around the face centre', () => {
+  const drag = beginDrag('rotate', { ...IDENTITY_PLACEMENT, rotation: 0.1 }, dressFace, { x: 180, y: 100 });
+
+  expect(dragPlacement(drag, { x: 140, y: 140 }, dressFace).rotation).toBeCloseTo(0.1 + Math.PI / 2);
+});
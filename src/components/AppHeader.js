@@ -0,0 +1,79 @@
+import React from 'react';
+import { Sparkles, LogOut, History, Wand2, Shirt, Activity } from 'lucide-react';
+import { NavLink } from 'react-router-dom';
+import { getConfig } from '../config';
+
+// `feature` hides the item when that toggle is off in the runtime config
+const NAV_ITEMS = [
+  { to: '/studio', label: 'Studio', icon: Wand2 },
+  { to: '/wardrobe', label: 'Wardrobe', icon: Shirt, feature: 'wardrobe' },
+  { to: '/history', label: 'History', icon: History },
+  { to: '/diagnostics', label: 'Diagnostics', icon: Activity, feature: 'diagnostics' }
+];
+
+// Top bar shared by the signed-in pages, including the logout confirmation
+export default function AppHeader({ user, showLogoutConfirm, onLogout, onConfirmLogout, onCancelLogout }) {
+  return (
+    <>
+      {showLogoutConfirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl shadow-2xl p-6 max-w-sm mx-4">
+            <h3 className="text-xl font-bold text-gray-800 mb-3">Confirm Logout</h3>
+            <p className="text-gray-600 mb-6">Are you sure you want to logout?</p>
+            <div className="flex gap-3">
+              <button
+                onClick={onCancelLogout}
+                className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={onConfirmLogout}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition font-medium"
+              >
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white shadow-sm">
+        <div className="max-w-6xl mx-auto px-4 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-6">
+            <div className="flex items-center gap-2">
+              <Sparkles className="w-6 h-6 text-purple-600" />
+              <h1 className="text-2xl font-bold text-gray-800">StitchPix AI</h1>
+            </div>
+            <nav className="flex items-center gap-1">
+              {NAV_ITEMS.filter(({ feature }) => !feature || getConfig().features[feature]).map(({ to, label, icon: Icon }) => (
+                <NavLink
+                  key={to}
+                  to={to}
+                  className={({ isActive }) => `flex items-center gap-1 px-3 py-1 rounded-lg text-sm font-medium transition ${
+                    isActive ? 'bg-purple-100 text-purple-700' : 'text-gray-600 hover:text-gray-800'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {label}
+                </NavLink>
+              ))}
+            </nav>
+          </div>
+          <div className="flex items-center gap-4">
+            <span className="text-sm text-gray-600">
+              Welcome, <span className="font-semibold">{user?.name || user?.email}</span>
+            </span>
+            <button
+              onClick={onLogout}
+              className="flex items-center gap-2 text-gray-600 hover:text-gray-800 transition"
+            >
+              <LogOut className="w-5 h-5" />
+              Logout
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Sparkles, AlertCircle } from 'lucide-react';
+
+// Branded card shared by the login, signup, password reset and verification screens
+export default function AuthLayout({ subtitle = 'Virtual Try-On Experience', error, children }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 via-pink-500 to-orange-400 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-8">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-r from-purple-600 to-pink-500 rounded-full mb-4">
+            <Sparkles className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-800">StitchPix AI</h1>
+          <p className="text-gray-600 mt-2">{subtitle}</p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm flex items-center gap-2" role="alert">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Camera, CameraOff, RefreshCw, RotateCcw, Timer } from 'lucide-react';
+import { WORKING_MAX_SIZE } from '../utils/preprocess';
+
+const COUNTDOWN_OPTIONS = [0, 3, 5];
+const JPEG_QUALITY = 0.92;
+
+// getUserMedia errors in words the user can act on
+const describeCameraError = (error) => {
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera access was blocked. Allow the camera in your browser settings, or upload a photo instead.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No camera was found on this device. Upload a photo instead.';
+    case 'NotReadableError':
+      return 'The camera is being used by another app. Close it and try again, or upload a photo instead.';
+    default:
+      return `Could not start the camera${error?.message ? `: ${error.message}` : ''}. Upload a photo instead.`;
+  }
+};
+
+// Current video frame as a JPEG data URL, mirrored like the preview so the
+// photo looks the way the user framed it
+const captureFrame = (video) => {
+  const scale = Math.min(1, WORKING_MAX_SIZE / Math.max(video.videoWidth, video.videoHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.translate(canvas.width, 0);
+  ctx.scale(-1, 1);
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+};
+
+// Take the face photo with the device camera. The oval guide shows where the
+// face should go; onCapture receives the photo as a data URL.
+export default function CameraCapture({ onCapture, onCancel }) {
+  const [status, setStatus] = useState('starting');
+  const [cameraError, setCameraError] = useState('');
+  const [countdownLength, setCountdownLength] = useState(3);
+  const [countdown, setCountdown] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError('This browser cannot open the camera (it needs a secure https:// page). Upload a photo instead.');
+      setStatus('error');
+      return undefined;
+    }
+
+    let cancelled = false;
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 1280 } }, audio: false })
+      .then(stream => {
+        // Closed before the permission prompt was answered
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+      })
+      .catch(error => {
+        if (cancelled) return;
+        setCameraError(describeCameraError(error));
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    };
+  }, []);
+
+  // Tick the countdown down once a second, then take the photo
+  useEffect(() => {
+    if (countdown === null) return undefined;
+    if (countdown === 0) {
+      setCountdown(null);
+      setPhoto(captureFrame(videoRef.current));
+      return undefined;
+    }
+    const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [countdown]);
+
+  const handleLoadedMetadata = () => {
+    videoRef.current.play?.()?.catch(() => {});
+    setStatus('ready');
+  };
+
+  const handleTakePhoto = () => setCountdown(countdownLength);
+
+  const handleRetake = () => {
+    setPhoto(null);
+    videoRef.current.play?.()?.catch(() => {});
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-2xl max-h-full overflow-y-auto" role="dialog" aria-label="Take a photo">
+        <h3 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+          <Camera className="w-5 h-5 text-purple-600" />
+          Take Your Face Photo
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">Face the camera in good light and fit your face inside the oval.</p>
+
+        {status === 'error' ? (
+          <div className="h-80 rounded-lg bg-gray-100 flex flex-col items-center justify-center text-center p-6">
+            <CameraOff className="w-12 h-12 text-gray-400 mb-4" />
+            <p className="text-gray-700" role="alert">{cameraError}</p>
+          </div>
+        ) : (
+          <div className="relative overflow-hidden rounded-lg bg-gray-900 aspect-square max-h-[60vh] mx-auto">
+            <video
+              ref={videoRef}
+              aria-label="Camera preview"
+              onLoadedMetadata={handleLoadedMetadata}
+              autoPlay
+              playsInline
+              muted
+              className={`w-full h-full object-cover -scale-x-100 transform ${photo ? 'hidden' : ''}`}
+            />
+            {photo && <img src={photo} alt="Captured face" className="w-full h-full object-cover" />}
+
+            {!photo && status === 'ready' && (
+              <div className="absolute inset-0 pointer-events-none flex items-center justify-center">
+                <div
+                  className="w-1/2 h-2/3 rounded-full border-4 border-white border-dashed"
+                  style={{ boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.35)' }}
+                />
+              </div>
+            )}
+            {status === 'starting' && (
+              <div className="absolute inset-0 flex items-center justify-center text-white gap-2">
+                <RefreshCw className="w-5 h-5 animate-spin" />
+                Starting camera...
+              </div>
+            )}
+            {countdown !== null && (
+              <div className="absolute inset-0 flex items-center justify-center text-white text-7xl font-bold" aria-live="assertive">
+                {countdown}
+              </div>
+            )}
+          </div>
+        )}
+
+        {status === 'ready' && !photo && (
+          <label className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+            <Timer className="w-4 h-4 text-gray-500" />
+            Countdown
+            <select
+              value={countdownLength}
+              onChange={(e) => setCountdownLength(Number(e.target.value))}
+              disabled={countdown !== null}
+              className="border border-gray-300 rounded-lg px-2 py-1"
+            >
+              {COUNTDOWN_OPTIONS.map(seconds => (
+                <option key={seconds} value={seconds}>{seconds ? `${seconds} seconds` : 'Off'}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-medium"
+          >
+            {status === 'error' ? 'Close' : 'Cancel'}
+          </button>
+          {photo ? (
+            <>
+              <button
+                onClick={handleRetake}
+                className="flex-1 flex items-center justify-center gap-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition font-medium"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Retake
+              </button>
+              <button
+                onClick={() => onCapture(photo)}
+                className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium"
+              >
+                Use Photo
+              </button>
+            </>
+          ) : status !== 'error' && (
+            <button
+              onClick={handleTakePhoto}
+              disabled={status !== 'ready' || countdown !== null}
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium disabled:opacity-50"
+            >
+              <Camera className="w-4 h-4" />
+              Take Photo
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import CameraCapture from './CameraCapture';
+
+const CAPTURED = 'data:image/jpeg;base64,cGhvdG8=';
+
+let track;
+let context;
+
+const mockCamera = (getUserMedia) => {
+  Object.defineProperty(navigator, 'mediaDevices', { value: getUserMedia && { getUserMedia }, configurable: true });
+};
+
+beforeEach(() => {
+  track = { stop: jest.fn() };
+  context = { translate: jest.fn(), scale: jest.fn(), drawImage: jest.fn() };
+  jest.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue();
+  jest.spyOn(HTMLVideoElement.prototype, 'videoWidth', 'get').mockReturnValue(1280);
+  jest.spyOn(HTMLVideoElement.prototype, 'videoHeight', 'get').mockReturnValue(720);
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+  jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue(CAPTURED);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+  delete navigator.mediaDevices;
+});
+
+const startCamera = async () => {
+  const stream = { getTracks: () => [track] };
+  mockCamera(jest.fn().mockResolvedValue(stream));
+  const onCapture = jest.fn();
+  const view = render(<CameraCapture onCapture={onCapture} onCancel={() => {}} />);
+  const video = screen.getByLabelText('Camera preview');
+  await waitFor(() => expect(video.srcObject).toBe(stream));
+  fireEvent.loadedMetadata(video);
+  return { ...view, onCapture };
+};
+
+test('takes a photo after the countdown, with retake', async () => {
+  const { onCapture, unmount } = await startCamera();
+  jest.useFakeTimers();
+
+  fireEvent.click(screen.getByText('Take Photo'));
+  expect(screen.getByText('3')).toBeInTheDocument();
+  for (let second = 0; second < 3; second++) {
+    act(() => jest.advanceTimersByTime(1000));
+  }
+
+  expect(screen.getByAltText('Captured face')).toHaveAttribute('src', CAPTURED);
+  expect(context.drawImage).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByText('Retake'));
+  expect(screen.queryByAltText('Captured face')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText(/Countdown/), { target: { value: '0' } });
+  fireEvent.click(screen.getByText('Take Photo'));
+  fireEvent.click(screen.getByText('Use Photo'));
+  expect(onCapture).toHaveBeenCalledWith(CAPTURED);
+
+  unmount();
+  expect(track.stop).toHaveBeenCalled();
+});
+
+test('explains when camera access is denied', async () => {
+  mockCamera(jest.fn().mockRejectedValue(Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' })));
+  render(<CameraCapture onCapture={() => {}} onCancel={() => {}} />);
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Camera access was blocked');
+  expect(screen.queryByText('Take Photo')).not.toBeInTheDocument();
+});
+
+test('falls back when the browser has no camera support', () => {
+  mockCamera(undefined);
+  render(<CameraCapture onCapture={() => {}} onCancel={() => {}} />);
+
+  expect(screen.getByRole('alert')).toHaveTextContent('This browser cannot open the camera');
+});
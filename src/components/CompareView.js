@@ -0,0 +1,231 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ZoomIn, ZoomOut, Columns, SplitSquareHorizontal, Eye } from 'lucide-react';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 0.5;
+const FAILED_IMAGE = 'https://via.placeholder.com/500x500?text=Image+Generation+Failed';
+
+const MODES = [
+  { id: 'slider', label: 'Slider', icon: SplitSquareHorizontal },
+  { id: 'toggle', label: 'Toggle', icon: Eye },
+  { id: 'side-by-side', label: 'Side by side', icon: Columns }
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Before/after comparison of the original dress photo and a generated result,
+// with a draggable split, toggle and side-by-side modes, and zoom + pan
+export default function CompareView({ before, after }) {
+  const [mode, setMode] = useState('slider');
+  const [split, setSplit] = useState(50);
+  const [showBefore, setShowBefore] = useState(false);
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const wheelRef = useRef(null);
+
+  const setZoomLevel = (value) => {
+    const next = clamp(value, MIN_ZOOM, MAX_ZOOM);
+    setZoom(next);
+    if (next === MIN_ZOOM) setPan({ x: 0, y: 0 });
+  };
+
+  // Keep the zoomed image covering the frame
+  const clampPan = ({ x, y }) => {
+    const limit = ((zoom - 1) / (2 * zoom)) * 100;
+    return { x: clamp(x, -limit, limit), y: clamp(y, -limit, limit) };
+  };
+
+  const splitFromPointer = (event) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    return clamp(((event.clientX - rect.left) / rect.width) * 100, 0, 100);
+  };
+
+  const handlePointerDown = (target) => (event) => {
+    if (target === 'pan' && zoom === MIN_ZOOM) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { target, x: event.clientX, y: event.clientY, pan };
+    if (target === 'split') setSplit(splitFromPointer(event));
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    if (drag.target === 'split') {
+      setSplit(splitFromPointer(event));
+    } else {
+      const rect = frameRef.current.getBoundingClientRect();
+      setPan(clampPan({
+        x: drag.pan.x + ((event.clientX - drag.x) / rect.width / zoom) * 100,
+        y: drag.pan.y + ((event.clientY - drag.y) / rect.height / zoom) * 100
+      }));
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleSliderKeyDown = (event) => {
+    const step = event.shiftKey ? 10 : 2;
+    const keys = {
+      ArrowLeft: split - step,
+      ArrowDown: split - step,
+      ArrowRight: split + step,
+      ArrowUp: split + step,
+      Home: 0,
+      End: 100
+    };
+    if (event.key in keys) {
+      event.preventDefault();
+      setSplit(clamp(keys[event.key], 0, 100));
+    }
+  };
+
+  const handleFrameKeyDown = (event) => {
+    if (event.key === '+' || event.key === '=') setZoomLevel(zoom + ZOOM_STEP);
+    if (event.key === '-') setZoomLevel(zoom - ZOOM_STEP);
+    if (event.key === '0') setZoomLevel(MIN_ZOOM);
+    if (mode === 'toggle' && event.key === ' ') {
+      event.preventDefault();
+      setShowBefore(!showBefore);
+    }
+  };
+
+  const handleWheel = (event) => {
+    if (!event.ctrlKey && !event.metaKey) return;
+    event.preventDefault();
+    setZoomLevel(zoom + (event.deltaY < 0 ? ZOOM_STEP : -ZOOM_STEP));
+  };
+  wheelRef.current = handleWheel;
+
+  // React's onWheel listener is passive, so it can't stop ctrl+wheel from
+  // zooming the whole page. Each mode renders its own frame, hence [mode].
+  useEffect(() => {
+    const frame = frameRef.current;
+    const handleFrameWheel = (event) => wheelRef.current(event);
+    frame.addEventListener('wheel', handleFrameWheel, { passive: false });
+    return () => frame.removeEventListener('wheel', handleFrameWheel);
+  }, [mode]);
+
+  const imageStyle = {
+    transform: `scale(${zoom}) translate(${pan.x}%, ${pan.y}%)`,
+    transformOrigin: 'center'
+  };
+
+  const renderImage = (src, alt, sizeClass = 'w-full h-auto max-h-96') => (
+    <img
+      src={src}
+      alt={alt}
+      draggable={false}
+      className={`${sizeClass} object-contain select-none`}
+      style={imageStyle}
+      onError={(e) => {
+        if (e.target.src !== FAILED_IMAGE) e.target.src = FAILED_IMAGE;
+      }}
+    />
+  );
+
+  const frameProps = {
+    tabIndex: 0,
+    onKeyDown: handleFrameKeyDown,
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: handlePointerUp,
+    className: `relative overflow-hidden bg-gray-100 touch-none focus:outline-none focus:ring-2 focus:ring-purple-400 ${
+      zoom > MIN_ZOOM ? 'cursor-grab' : ''
+    }`
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-3 border-b">
+        <div className="flex gap-1" role="group" aria-label="Comparison mode">
+          {MODES.map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setMode(id)}
+              aria-pressed={mode === id}
+              className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm font-medium transition ${
+                mode === id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-1">
+          <button onClick={() => setZoomLevel(zoom - ZOOM_STEP)} disabled={zoom <= MIN_ZOOM} aria-label="Zoom out" className="p-1 rounded hover:bg-gray-100 disabled:opacity-40">
+            <ZoomOut className="w-5 h-5" />
+          </button>
+          <span className="text-sm text-gray-600 w-10 text-center">{zoom}x</span>
+          <button onClick={() => setZoomLevel(zoom + ZOOM_STEP)} disabled={zoom >= MAX_ZOOM} aria-label="Zoom in" className="p-1 rounded hover:bg-gray-100 disabled:opacity-40">
+            <ZoomIn className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {mode === 'slider' && (
+        <div ref={frameRef} {...frameProps} onPointerDown={handlePointerDown('pan')}>
+          {renderImage(after, 'Merged Result')}
+          <div className="absolute inset-0" style={{ clipPath: `inset(0 ${100 - split}% 0 0)` }}>
+            {renderImage(before, 'Original dress photo', 'w-full h-full')}
+          </div>
+          <div
+            role="slider"
+            tabIndex={0}
+            aria-label="Before and after split"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(split)}
+            onKeyDown={handleSliderKeyDown}
+            onPointerDown={handlePointerDown('split')}
+            className="absolute top-0 bottom-0 w-8 -ml-4 flex justify-center cursor-ew-resize focus:outline-none group"
+            style={{ left: `${split}%` }}
+          >
+            <div className="w-1 h-full bg-white shadow" />
+            <div className="absolute top-1/2 -mt-4 w-8 h-8 rounded-full bg-white shadow-lg border-2 border-purple-600 group-focus:ring-2 group-focus:ring-purple-400" />
+          </div>
+          <span className="absolute top-2 left-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">Before</span>
+          <span className="absolute top-2 right-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">After</span>
+        </div>
+      )}
+
+      {mode === 'toggle' && (
+        <div ref={frameRef} {...frameProps} onPointerDown={handlePointerDown('pan')}>
+          {renderImage(showBefore ? before : after, showBefore ? 'Original dress photo' : 'Merged Result')}
+          <button
+            onClick={() => setShowBefore(!showBefore)}
+            onPointerDown={(e) => e.stopPropagation()}
+            className="absolute bottom-3 left-1/2 -translate-x-1/2 transform bg-white bg-opacity-90 text-gray-800 text-sm font-medium px-4 py-2 rounded-full shadow"
+          >
+            {showBefore ? 'Showing original - tap for result' : 'Showing result - tap for original'}
+          </button>
+        </div>
+      )}
+
+      {mode === 'side-by-side' && (
+        <div ref={frameRef} {...frameProps} className={`${frameProps.className} grid grid-cols-2 gap-1`} onPointerDown={handlePointerDown('pan')}>
+          <div className="relative overflow-hidden">
+            {renderImage(before, 'Original dress photo')}
+            <span className="absolute top-2 left-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">Before</span>
+          </div>
+          <div className="relative overflow-hidden">
+            {renderImage(after, 'Merged Result')}
+            <span className="absolute top-2 left-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">After</span>
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 px-4 pt-2">
+        Drag or use arrow keys to move the split. Zoom with the buttons, Ctrl + scroll or +/-, then drag to pan.
+      </p>
+    </div>
+  );
+}
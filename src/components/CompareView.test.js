@@ -0,0 +1,51 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import CompareView from './CompareView';
+
+const renderView = () => render(<CompareView before="data:image/png;base64,YmVmb3Jl" after="data:image/png;base64,YWZ0ZXI=" />);
+
+test('moves the split with the keyboard', () => {
+  renderView();
+  const slider = screen.getByRole('slider', { name: /before and after split/i });
+
+  fireEvent.keyDown(slider, { key: 'ArrowRight' });
+  expect(slider).toHaveAttribute('aria-valuenow', '52');
+
+  fireEvent.keyDown(slider, { key: 'ArrowLeft', shiftKey: true });
+  expect(slider).toHaveAttribute('aria-valuenow', '42');
+
+  fireEvent.keyDown(slider, { key: 'End' });
+  expect(slider).toHaveAttribute('aria-valuenow', '100');
+});
+
+test('toggles between the original and the result', () => {
+  renderView();
+  fireEvent.click(screen.getByRole('button', { name: /toggle/i }));
+
+  expect(screen.getByAltText('Merged Result')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /tap for original/i }));
+  expect(screen.getByAltText('Original dress photo')).toBeInTheDocument();
+  expect(screen.queryByAltText('Merged Result')).not.toBeInTheDocument();
+});
+
+test('zooms in and back out', () => {
+  renderView();
+  fireEvent.click(screen.getByRole('button', { name: /side by side/i }));
+  fireEvent.click(screen.getByRole('button', { name: 'Zoom in' }));
+
+  expect(screen.getByText('1.5x')).toBeInTheDocument();
+  expect(screen.getAllByRole('img')[0].style.transform).toContain('scale(1.5)');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Zoom out' }));
+  expect(screen.getByText('1x')).toBeInTheDocument();
+});
+
+test('zooms with ctrl+wheel instead of zooming the page', () => {
+  renderView();
+  fireEvent.click(screen.getByRole('button', { name: /side by side/i }));
+
+  expect(fireEvent.wheel(screen.getByAltText('Merged Result'), { ctrlKey: true, deltaY: -100 })).toBe(false);
+  expect(screen.getByText('1.5x')).toBeInTheDocument();
+
+  expect(fireEvent.wheel(screen.getByAltText('Merged Result'), { deltaY: -100 })).toBe(true);
+  expect(screen.getByText('1.5x')).toBeInTheDocument();
+});
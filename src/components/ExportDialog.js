@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import { Download, RefreshCw, FileArchive } from 'lucide-react';
+import { EXPORT_FORMATS, EXPORT_SCALES, downloadBlob, exportImage, exportZip, getExportFormat, loadExportOptions, saveExportOptions } from '../utils/exportImage';
+import { loadImage } from '../utils/image';
+import { loadWatermarkPreset } from '../utils/watermark';
+import WatermarkSettings from './WatermarkSettings';
+
+// Download the selected result (or the whole gallery as a ZIP) in the chosen
+// format, quality and size, optionally watermarked. The options are remembered
+// for next time; the watermark starts from the account's saved preset.
+export default function ExportDialog({ user, image, images, providerSettings, onClose }) {
+  const [options, setOptions] = useState(loadExportOptions);
+  const [watermark, setWatermark] = useState(() => loadWatermarkPreset(user));
+  const [size, setSize] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState('');
+  const format = getExportFormat(options.format);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(image.url)
+      .then(img => !cancelled && setSize({ width: img.width, height: img.height }))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [image.url]);
+
+  const updateOptions = (changes) => {
+    const next = { ...options, ...changes };
+    setOptions(next);
+    saveExportOptions(next);
+  };
+
+  const runExport = async (kind) => {
+    setExporting(kind);
+    setExportError('');
+    try {
+      const exportOptions = { ...options, providerSettings, watermark };
+      if (kind === 'zip') {
+        downloadBlob(await exportZip(images, exportOptions), 'stitchpix-ai-results.zip');
+      } else {
+        const { blob, fileName } = await exportImage(image, exportOptions);
+        downloadBlob(blob, fileName);
+      }
+      onClose();
+    } catch (error) {
+      setExportError(error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md max-h-full overflow-y-auto" role="dialog" aria-label="Export result">
+        <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <Download className="w-5 h-5 text-purple-600" />
+          Export
+        </h3>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+            <div className="flex gap-2">
+              {EXPORT_FORMATS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => updateOptions({ format: id })}
+                  aria-pressed={format.id === id}
+                  className={`flex-1 py-2 rounded-lg text-sm font-medium transition ${
+                    format.id === id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {format.lossy && (
+            <div>
+              <label className="flex justify-between text-sm font-medium text-gray-700 mb-1">
+                <span>Quality</span>
+                <span className="text-gray-500">{Math.round(options.quality * 100)}%</span>
+              </label>
+              <input
+                type="range"
+                min={0.5}
+                max={1}
+                step={0.01}
+                value={options.quality}
+                onChange={(e) => updateOptions({ quality: Number(e.target.value) })}
+                aria-label="Quality"
+                className="w-full accent-purple-600"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Size</label>
+            <select
+              value={options.scale}
+              onChange={(e) => updateOptions({ scale: Number(e.target.value) })}
+              aria-label="Size"
+              className="w-full text-sm border border-gray-300 rounded-lg px-2 py-2"
+            >
+              {EXPORT_SCALES.map(({ label, value }) => (
+                <option key={value} value={value}>
+                  {label}{size ? ` – ${Math.round(size.width * value)} × ${Math.round(size.height * value)} px` : ''}
+                </option>
+              ))}
+            </select>
+            {options.scale > 1 && <p className="text-xs text-gray-500 mt-1">Enlarging doesn't add detail, it only makes the file bigger.</p>}
+          </div>
+
+          <label className="flex items-start gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.includeMetadata}
+              onChange={(e) => updateOptions({ includeMetadata: e.target.checked })}
+              className="mt-0.5 accent-purple-600"
+            />
+            <span>
+              Embed generation details
+              <span className="block text-xs text-gray-500">Engine, quality and settings are saved in the file's XMP metadata</span>
+            </span>
+          </label>
+
+          <WatermarkSettings user={user} image={image} watermark={watermark} onChange={setWatermark} />
+        </div>
+
+        {exportError && <p className="mt-4 text-sm text-red-600">{exportError}</p>}
+
+        <div className="flex flex-wrap gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-medium"
+          >
+            Cancel
+          </button>
+          {images.length > 1 && (
+            <button
+              onClick={() => runExport('zip')}
+              disabled={Boolean(exporting)}
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition font-medium disabled:opacity-50"
+            >
+              {exporting === 'zip' ? <RefreshCw className="w-4 h-4 animate-spin" /> : <FileArchive className="w-4 h-4" />}
+              All {images.length} (ZIP)
+            </button>
+          )}
+          <button
+            onClick={() => runExport('single')}
+            disabled={Boolean(exporting)}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium disabled:opacity-50"
+          >
+            {exporting === 'single' ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Move, RotateCw, Maximize2, RefreshCw } from 'lucide-react';
+import { IDENTITY_PLACEMENT, placedFaceBox, prepareMerge, renderMerge } from '../canvas/mergeImages';
+import { beginDrag, dragPlacement } from '../canvas/placement';
+
+const PREVIEW_SIZE = 900;
+
+// Drag, scale and rotate the pasted face of a canvas result with a live preview.
+// Saving re-renders at full resolution and keeps the placement on the result.
+export default function FaceEditor({ userPhoto, dressPhoto, image, onSave, onCancel }) {
+  const [prepared, setPrepared] = useState(null);
+  const [placement, setPlacement] = useState(image.merge?.placement || IDENTITY_PLACEMENT);
+  const [editorError, setEditorError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const previewRef = useRef(null);
+  const overlayRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    prepareMerge(userPhoto, dressPhoto)
+      .then(result => !cancelled && setPrepared(result))
+      .catch(() => !cancelled && setEditorError('Could not load the photos for editing'));
+    return () => {
+      cancelled = true;
+    };
+  }, [userPhoto, dressPhoto]);
+
+  // Live preview, re-rendered once per animation frame while dragging
+  useEffect(() => {
+    if (!prepared || !previewRef.current) return undefined;
+
+    const frame = requestAnimationFrame(() => {
+      const { dressImg } = prepared;
+      const previewScale = Math.min(1, PREVIEW_SIZE / Math.max(dressImg.width, dressImg.height));
+      const rendered = renderMerge(prepared, { ...image.merge, placement }, previewScale);
+      const canvas = previewRef.current;
+      canvas.width = rendered.width;
+      canvas.height = rendered.height;
+      canvas.getContext('2d').drawImage(rendered, 0, 0);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [prepared, placement, image.merge]);
+
+  // Pointer position in dress image pixels
+  const toImagePoint = (event) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * prepared.dressImg.width,
+      y: ((event.clientY - rect.top) / rect.height) * prepared.dressImg.height
+    };
+  };
+
+  const startDrag = (mode) => (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = beginDrag(mode, placement, prepared.dressFace, toImagePoint(event));
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    setPlacement(dragPlacement(dragRef.current, toImagePoint(event), prepared.dressFace));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const handleSave = () => {
+    setIsSaving(true);
+    try {
+      const merge = { ...image.merge, placement };
+      onSave({
+        ...image,
+        url: renderMerge(prepared, merge).toDataURL('image/png', 1.0),
+        label: image.label ? `${image.label} (adjusted)` : 'Adjusted',
+        merge
+      });
+    } catch (error) {
+      setEditorError(`Could not export the adjusted image: ${error.message}`);
+      setIsSaving(false);
+    }
+  };
+
+  const box = prepared && placedFaceBox(prepared.dressFace, placement);
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-3xl max-h-full overflow-y-auto">
+        <h3 className="text-xl font-bold text-gray-800 mb-1">Adjust Face Placement</h3>
+        <p className="text-sm text-gray-600 mb-4 flex flex-wrap gap-4">
+          <span className="flex items-center gap-1"><Move className="w-4 h-4" /> Drag the face to move it</span>
+          <span className="flex items-center gap-1"><Maximize2 className="w-4 h-4" /> Corner handle to resize</span>
+          <span className="flex items-center gap-1"><RotateCw className="w-4 h-4" /> Top handle to rotate</span>
+        </p>
+
+        {editorError && <p className="mb-4 text-sm text-red-600">{editorError}</p>}
+
+        {!prepared && !editorError && (
+          <div className="h-64 flex items-center justify-center text-gray-500">
+            <RefreshCw className="w-6 h-6 animate-spin mr-2" />
+            Preparing editor...
+          </div>
+        )}
+
+        {prepared && (
+          <div className="relative mx-auto select-none touch-none" style={{ maxWidth: '100%', width: 'fit-content' }}>
+            <canvas ref={previewRef} className="block max-w-full max-h-[60vh] rounded-lg" />
+            {/* Captured pointer events from the handles bubble up to here */}
+            <div
+              ref={overlayRef}
+              className="absolute inset-0"
+              onPointerMove={handlePointerMove}
+              onPointerUp={endDrag}
+              onPointerCancel={endDrag}
+            >
+              <div
+                aria-label="Move face"
+                onPointerDown={startDrag('move')}
+                className="absolute border-2 border-dashed border-white rounded-full cursor-move shadow-[0_0_0_1px_rgba(124,58,237,0.8)]"
+                style={{
+                  left: toPercent(box.x, prepared.dressImg.width),
+                  top: toPercent(box.y, prepared.dressImg.height),
+                  width: toPercent(box.width, prepared.dressImg.width),
+                  height: toPercent(box.height, prepared.dressImg.height),
+                  transform: `rotate(${box.rotation}rad)`
+                }}
+              >
+                <span
+                  aria-label="Rotate face"
+                  onPointerDown={startDrag('rotate')}
+                  className="absolute left-1/2 -top-6 -ml-2 w-4 h-4 bg-pink-500 border-2 border-white rounded-full cursor-grab"
+                />
+                <span
+                  aria-label="Resize face"
+                  onPointerDown={startDrag('scale')}
+                  className="absolute -right-2 -bottom-2 w-4 h-4 bg-purple-600 border-2 border-white rounded-sm cursor-nwse-resize"
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={() => setPlacement(IDENTITY_PLACEMENT)}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition font-medium"
+          >
+            Reset
+          </button>
+          <button
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!prepared || isSaving}
+            className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Save Adjustment'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
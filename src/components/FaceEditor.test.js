@@ -0,0 +1,91 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import FaceEditor from './FaceEditor';
+import { IDENTITY_PLACEMENT, prepareMerge, renderMerge } from '../canvas/mergeImages';
+
+jest.mock('../canvas/mergeImages', () => ({
+  ...jest.requireActual('../canvas/mergeImages'),
+  prepareMerge: jest.fn(),
+  renderMerge: jest.fn()
+}));
+
+const ADJUSTED = 'data:image/png;base64,YWRqdXN0ZWQ=';
+// A 200x400 model photo with the face centred on (100, 90)
+const prepared = {
+  userImg: { width: 300, height: 300 },
+  dressImg: { width: 200, height: 400 },
+  userFace: { x: 100, y: 80, width: 100, height: 120 },
+  dressFace: { x: 60, y: 40, width: 80, height: 100 }
+};
+const image = { id: 1, url: 'data:image/png;base64,b3JpZ2luYWw=', source: 'canvas', label: 'Balanced', merge: { placement: IDENTITY_PLACEMENT, feather: 0.25, colorMatch: 0.6 } };
+
+// jsdom has no PointerEvent, and without it fireEvent drops the coordinates
+beforeAll(() => {
+  window.PointerEvent = class PointerEvent extends MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId;
+    }
+  };
+});
+
+afterAll(() => {
+  delete window.PointerEvent;
+});
+
+beforeEach(() => {
+  prepareMerge.mockResolvedValue(prepared);
+  renderMerge.mockReturnValue({ width: 200, height: 400, toDataURL: () => ADJUSTED });
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage: jest.fn() });
+  // The preview is shown at half size
+  jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, width: 100, height: 200 });
+  HTMLElement.prototype.setPointerCapture = jest.fn();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete HTMLElement.prototype.setPointerCapture;
+});
+
+test('drags the face and saves the new placement', async () => {
+  const onSave = jest.fn();
+  render(<FaceEditor userPhoto="data:user" dressPhoto="data:dress" image={image} onSave={onSave} onCancel={() => {}} />);
+
+  const face = await screen.findByLabelText('Move face');
+  expect(face).toHaveStyle({ left: '30%', width: '40%' });
+  expect(prepareMerge).toHaveBeenCalledWith('data:user', 'data:dress');
+
+  fireEvent.pointerDown(face, { pointerId: 1, clientX: 50, clientY: 45 });
+  fireEvent.pointerMove(face, { pointerId: 1, clientX: 60, clientY: 45 });
+  fireEvent.pointerUp(face, { pointerId: 1 });
+
+  expect(face).toHaveStyle({ left: '40%' });
+  await waitFor(() => expect(renderMerge).toHaveBeenLastCalledWith(prepared, expect.objectContaining({ placement: expect.objectContaining({ offsetX: 0.25 }) }), 1));
+
+  fireEvent.click(screen.getByText('Save Adjustment'));
+
+  expect(onSave).toHaveBeenCalledWith({
+    ...image,
+    url: ADJUSTED,
+    label: 'Balanced (adjusted)',
+    merge: { placement: { scale: 1, offsetX: 0.25, offsetY: 0, rotation: 0 }, feather: 0.25, colorMatch: 0.6 }
+  });
+});
+
+test('resets the placement', async () => {
+  render(<FaceEditor userPhoto="data:user" dressPhoto="data:dress" image={{ ...image, merge: { placement: { ...IDENTITY_PLACEMENT, scale: 2 } } }} onSave={() => {}} onCancel={() => {}} />);
+
+  const face = await screen.findByLabelText('Move face');
+  expect(face).toHaveStyle({ width: '80%' });
+
+  fireEvent.click(screen.getByText('Reset'));
+
+  expect(face).toHaveStyle({ width: '40%' });
+});
+
+test('reports photos that cannot be loaded', async () => {
+  prepareMerge.mockRejectedValue(new Error('decode failed'));
+  render(<FaceEditor userPhoto="data:user" dressPhoto="data:dress" image={image} onSave={() => {}} onCancel={() => {}} />);
+
+  expect(await screen.findByText('Could not load the photos for editing')).toBeInTheDocument();
+  expect(screen.getByText('Save Adjustment')).toBeDisabled();
+});
@@ -0,0 +1,71 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, X, Plus } from 'lucide-react';
+import { getProvider, listProviders } from '../providers';
+
+// Ordered list of engines to try when the selected one fails. The selected
+// engine always runs first, so it is hidden from the list (but kept in the
+// saved chain) while selected.
+export default function FallbackChainSettings({ primaryId, chain, onChange }) {
+  const steps = chain.filter(id => id !== primaryId && getProvider(id));
+  const available = listProviders().filter(provider => provider.id !== primaryId && !chain.includes(provider.id));
+
+  const move = (index, offset) => {
+    const [a, b] = [steps[index], steps[index + offset]];
+    onChange(chain.map(id => (id === a ? b : id === b ? a : id)));
+  };
+
+  return (
+    <div className="mt-6 max-w-md mx-auto bg-white border-2 border-purple-100 rounded-lg p-4 text-left">
+      <p className="text-sm font-medium text-gray-700">If {getProvider(primaryId)?.name} fails, try</p>
+      <p className="text-xs text-gray-500 mb-3">Engines without an API key are skipped</p>
+
+      {steps.length === 0 && <p className="text-sm text-gray-500 mb-3">Nothing - show the error instead</p>}
+      <ol className="space-y-2 mb-3">
+        {steps.map((id, index) => (
+          <li key={id} className="flex items-center gap-2 text-sm text-gray-800 bg-gray-50 rounded-lg px-3 py-2">
+            <span className="text-gray-400 w-4">{index + 1}.</span>
+            <span className="flex-1">{getProvider(id).name}</span>
+            <button
+              onClick={() => move(index, -1)}
+              disabled={index === 0}
+              aria-label={`Move ${getProvider(id).name} up`}
+              className="p-1 text-gray-500 hover:text-purple-600 disabled:opacity-30"
+            >
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => move(index, 1)}
+              disabled={index === steps.length - 1}
+              aria-label={`Move ${getProvider(id).name} down`}
+              className="p-1 text-gray-500 hover:text-purple-600 disabled:opacity-30"
+            >
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => onChange(chain.filter(step => step !== id))}
+              aria-label={`Remove ${getProvider(id).name}`}
+              className="p-1 text-gray-500 hover:text-red-600"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {available.length > 0 && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <Plus className="w-4 h-4 text-purple-600" />
+          <select
+            value=""
+            onChange={(e) => onChange([...chain, e.target.value])}
+            aria-label="Add fallback engine"
+            className="flex-1 text-sm border border-gray-300 rounded-lg px-2 py-1.5"
+          >
+            <option value="" disabled>Add an engine...</option>
+            {available.map(provider => <option key={provider.id} value={provider.id}>{provider.name}</option>)}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  starting: 'Starting model...',
+  loading: 'Waiting for model to load...',
+  processing: 'Generating...',
+  succeeded: 'Finishing up...',
+  failed: 'Generation failed',
+  canceled: 'Cancelled',
+  fallback: 'Trying the next engine...'
+};
+
+// Progress bar and latest log lines for providers that report them
+export default function GenerationProgress({ progress }) {
+  if (!progress) return null;
+
+  const percent = progress.progress == null ? null : Math.round(progress.progress * 100);
+
+  return (
+    <div className="max-w-md mx-auto mt-4 text-left">
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span>{STATUS_LABELS[progress.status] || progress.status}</span>
+        {percent != null && <span>{percent}%</span>}
+      </div>
+      <div className="w-full h-2 bg-purple-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full bg-gradient-to-r from-purple-600 to-pink-500 transition-all ${percent == null ? 'w-1/3 animate-pulse' : ''}`}
+          style={percent == null ? undefined : { width: `${percent}%` }}
+        />
+      </div>
+      {progress.logs?.length > 0 && (
+        <pre className="mt-3 p-3 bg-gray-900 text-green-300 text-xs rounded-lg overflow-x-auto whitespace-pre-wrap">
+          {progress.logs.join('\n')}
+        </pre>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useRef, useState } from 'react';
+import { Crop, RotateCcw, RefreshCw } from 'lucide-react';
+import { coverScale, straightenAndCrop } from '../utils/preprocess';
+
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+const MIN_CROP = 0.1;
+const MAX_ANGLE = 45;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Straighten (rotate) and crop a photo before generation. The crop box is kept
+// as fractions of the frame so it doesn't depend on the preview size.
+export default function ImageCropper({ src, title, onApply, onCancel }) {
+  const [size, setSize] = useState(null);
+  const [angle, setAngle] = useState(0);
+  const [crop, setCrop] = useState(FULL_FRAME);
+  const [cropError, setCropError] = useState('');
+  const [isApplying, setIsApplying] = useState(false);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const startDrag = (mode) => (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { mode, x: event.clientX, y: event.clientY, crop };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const rect = frameRef.current.getBoundingClientRect();
+    const dx = (event.clientX - drag.x) / rect.width;
+    const dy = (event.clientY - drag.y) / rect.height;
+    const start = drag.crop;
+
+    if (drag.mode === 'move') {
+      setCrop({
+        ...start,
+        x: clamp(start.x + dx, 0, 1 - start.width),
+        y: clamp(start.y + dy, 0, 1 - start.height)
+      });
+    } else {
+      setCrop({
+        ...start,
+        width: clamp(start.width + dx, MIN_CROP, 1 - start.x),
+        height: clamp(start.height + dy, MIN_CROP, 1 - start.y)
+      });
+    }
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const handleReset = () => {
+    setAngle(0);
+    setCrop(FULL_FRAME);
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      onApply(await straightenAndCrop(src, { angle: (angle * Math.PI) / 180, crop }));
+    } catch (error) {
+      setCropError(`Could not crop the photo: ${error.message}`);
+      setIsApplying(false);
+    }
+  };
+
+  const scale = size ? coverScale(size.width, size.height, (angle * Math.PI) / 180) : 1;
+  const toPercent = (value) => `${value * 100}%`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-3xl max-h-full overflow-y-auto">
+        <h3 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+          <Crop className="w-5 h-5 text-purple-600" />
+          {title}
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">Drag the box to move it, drag its corner to resize, and use the slider to straighten.</p>
+
+        {cropError && <p className="mb-4 text-sm text-red-600">{cropError}</p>}
+
+        <div
+          ref={frameRef}
+          className="relative overflow-hidden mx-auto select-none touch-none bg-gray-900 rounded-lg"
+          style={size ? { width: `min(100%, calc(60vh * ${size.width / size.height}))`, aspectRatio: `${size.width} / ${size.height}` } : undefined}
+          onPointerMove={handlePointerMove}
+          onPointerUp={endDrag}
+          onPointerCancel={endDrag}
+        >
+          <img
+            src={src}
+            alt={title}
+            draggable={false}
+            onLoad={(e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+            className="block w-full h-full object-contain"
+            style={{ transform: `rotate(${angle}deg) scale(${scale})` }}
+          />
+          {size && (
+            <div
+              onPointerDown={startDrag('move')}
+              className="absolute border-2 border-white cursor-move"
+              style={{
+                left: toPercent(crop.x),
+                top: toPercent(crop.y),
+                width: toPercent(crop.width),
+                height: toPercent(crop.height),
+                boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)'
+              }}
+            >
+              {/* Rule-of-thirds guides help line up horizons and walls */}
+              <div className="absolute inset-0 pointer-events-none grid grid-cols-3 grid-rows-3">
+                {Array.from({ length: 9 }, (_, i) => <div key={i} className="border border-white border-opacity-30" />)}
+              </div>
+              <span
+                aria-label="Resize crop"
+                onPointerDown={startDrag('resize')}
+                className="absolute -right-2 -bottom-2 w-4 h-4 bg-purple-600 border-2 border-white rounded-sm cursor-nwse-resize"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4">
+          <label className="flex justify-between text-sm font-medium text-gray-700 mb-1">
+            <span>Straighten</span>
+            <span className="text-gray-500">{angle > 0 ? '+' : ''}{angle}°</span>
+          </label>
+          <input
+            type="range"
+            min={-MAX_ANGLE}
+            max={MAX_ANGLE}
+            step={0.5}
+            value={angle}
+            onChange={(e) => setAngle(Number(e.target.value))}
+            aria-label="Straighten angle"
+            className="w-full accent-purple-600"
+          />
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={handleReset}
+            className="flex items-center gap-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition font-medium"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset
+          </button>
+          <button
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={!size || isApplying}
+            className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            {isApplying && <RefreshCw className="w-4 h-4 animate-spin" />}
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Lock, Unlock, Download, Upload, Trash2 } from 'lucide-react';
+import { getProvider } from '../providers';
+import { keyVault, migrateLegacyApiKey } from '../utils/keyVault';
+
+// Unlocks the key vault and edits the credentials of the selected provider.
+// `credentials` is the decrypted { [providerId]: {...} } map, or null while locked.
+export default function KeyVaultPanel({ provider, credentials, onCredentialsChange, vault = keyVault }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [draft, setDraft] = useState({});
+  const [vaultError, setVaultError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [configured, setConfigured] = useState(() => vault.configuredProviders());
+  const importInputRef = useRef(null);
+
+  const isUnlocked = credentials !== null;
+  const savedCredentials = credentials?.[provider.id];
+
+  useEffect(() => {
+    setDraft(savedCredentials || {});
+  }, [provider.id, savedCredentials]);
+
+  useEffect(() => {
+    setConfigured(vault.configuredProviders());
+  }, [vault, credentials]);
+
+  const runVaultAction = async (action) => {
+    setVaultError('');
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      setVaultError(error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleUnlock = () => runVaultAction(async () => {
+    const unlocked = await vault.unlock(passphrase);
+    setPassphrase('');
+    onCredentialsChange(await migrateLegacyApiKey(vault, unlocked));
+  });
+
+  const handleLock = () => {
+    vault.lock();
+    onCredentialsChange(null);
+  };
+
+  const handleSave = () => runVaultAction(async () => {
+    const [missing] = provider.credentials.filter(({ key }) => !draft[key]);
+    if (missing) throw new Error(`Please enter your ${missing.label}`);
+
+    await vault.setCredentials(provider.id, draft);
+    onCredentialsChange({ ...credentials, [provider.id]: draft });
+  });
+
+  const handleRemove = () => runVaultAction(async () => {
+    vault.removeCredentials(provider.id);
+    const { [provider.id]: removed, ...rest } = credentials;
+    onCredentialsChange(rest);
+  });
+
+  const handleExport = () => runVaultAction(async () => {
+    const blob = new Blob([vault.exportVault()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'stitchpix-key-vault.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    runVaultAction(async () => {
+      vault.importVault(await file.text());
+      onCredentialsChange(null);
+      setConfigured(vault.configuredProviders());
+    });
+  };
+
+  const isConfigured = configured.includes(provider.id);
+
+  return (
+    <div className="mt-6 max-w-md mx-auto">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-purple-600 hover:text-purple-800 font-medium mb-2"
+      >
+        {isOpen ? '▼' : '▶'} {isConfigured ? 'Update' : 'Enter'} API Key
+      </button>
+
+      {isOpen && (
+        <div className="bg-purple-50 border-2 border-purple-200 rounded-lg p-4 text-left space-y-4">
+          {!isUnlocked ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {vault.exists() ? 'Vault passphrase' : 'Choose a vault passphrase'}
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleUnlock()}
+                  placeholder="Passphrase"
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+                <button
+                  onClick={handleUnlock}
+                  disabled={isBusy}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition flex items-center gap-2 disabled:opacity-50"
+                >
+                  <Unlock className="w-4 h-4" />
+                  {vault.exists() ? 'Unlock' : 'Create'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div>
+              {provider.credentials.map(({ key, label }) => (
+                <div key={key} className="mb-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {label.charAt(0).toUpperCase() + label.slice(1)} for {provider.name}
+                  </label>
+                  <input
+                    type="password"
+                    value={draft[key] || ''}
+                    onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+                    placeholder={`Enter your ${label}`}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button
+                  onClick={handleSave}
+                  disabled={isBusy}
+                  className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+                >
+                  Save Key
+                </button>
+                {savedCredentials && (
+                  <button
+                    onClick={handleRemove}
+                    disabled={isBusy}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition flex items-center gap-2"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {configured.length > 0 && (
+            <div>
+              <p className="text-xs font-bold text-gray-500 uppercase mb-2">Configured providers</p>
+              <div className="flex flex-wrap gap-2">
+                {configured.map(id => (
+                  <span key={id} className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded">
+                    ✓ {getProvider(id)?.name || id}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-3 text-sm">
+            <button onClick={handleExport} className="flex items-center gap-1 text-purple-600 hover:text-purple-800">
+              <Download className="w-4 h-4" />
+              Export vault
+            </button>
+            <button onClick={() => importInputRef.current?.click()} className="flex items-center gap-1 text-purple-600 hover:text-purple-800">
+              <Upload className="w-4 h-4" />
+              Import vault
+            </button>
+            <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+            {isUnlocked && (
+              <button onClick={handleLock} className="flex items-center gap-1 text-gray-600 hover:text-gray-800">
+                <Lock className="w-4 h-4" />
+                Lock vault
+              </button>
+            )}
+          </div>
+
+          {vaultError && <p className="text-sm text-red-600">{vaultError}</p>}
+
+          <p className="text-xs text-gray-500">
+            Keys are encrypted with your passphrase and stored only in this browser. Each key is sent only to its own provider.
+          </p>
+        </div>
+      )}
+
+      {!isOpen && isConfigured && (
+        <div className={`text-sm font-medium ${isUnlocked ? 'text-green-600' : 'text-gray-600'}`}>
+          {isUnlocked ? '✓ API Key configured' : '🔒 API Key saved - unlock the vault to use it'}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Check, X } from 'lucide-react';
+import { STRENGTH_LABELS, checkPassword, passwordStrength } from '../utils/password';
+
+const BAR_COLORS = ['bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-lime-500', 'bg-green-600'];
+
+// Strength bar and rule checklist shown under a new password field.
+// `context` ({ email, name }) lets the rules reject passwords based on them.
+export default function PasswordStrengthMeter({ password, context }) {
+  if (!password) return null;
+
+  const score = passwordStrength(password, context);
+
+  return (
+    <div className="mt-2" aria-live="polite">
+      <div className="flex gap-1" role="meter" aria-label="Password strength" aria-valuemin={0} aria-valuemax={4} aria-valuenow={score} aria-valuetext={STRENGTH_LABELS[score]}>
+        {[0, 1, 2, 3].map(index => (
+          <div key={index} className={`h-1.5 flex-1 rounded-full ${index < Math.max(score, 1) ? BAR_COLORS[score] : 'bg-gray-200'}`} />
+        ))}
+      </div>
+      <p className="text-xs text-gray-600 mt-1">Strength: {STRENGTH_LABELS[score]}</p>
+      <ul className="mt-1 space-y-0.5">
+        {checkPassword(password, context).map(check => (
+          <li key={check.id} className={`flex items-center gap-1 text-xs ${check.met ? 'text-green-700' : 'text-gray-500'}`}>
+            {check.met ? <Check className="w-3 h-3" /> : <X className="w-3 h-3" />}
+            {check.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+import { resolveSettings } from '../providers';
+
+// Sliders for the settings a provider declares (e.g. canvas blend strength)
+export default function ProviderSettings({ provider, values, onChange }) {
+  if (!provider?.settings.length) return null;
+
+  const settings = resolveSettings(provider, values);
+
+  return (
+    <div className="mt-6 max-w-md mx-auto bg-white border-2 border-purple-100 rounded-lg p-4 text-left space-y-4">
+      {provider.settings.map(({ key, label, min, max, step, unit = '' }) => (
+        <div key={key}>
+          <div className="flex justify-between text-sm font-medium text-gray-700 mb-1">
+            <label htmlFor={`setting-${key}`}>{label}</label>
+            <span className="text-gray-500">{settings[key]}{unit}</span>
+          </div>
+          <input
+            id={`setting-${key}`}
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={settings[key]}
+            onChange={(e) => onChange({ ...settings, [key]: Number(e.target.value) })}
+            className="w-full accent-purple-600"
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
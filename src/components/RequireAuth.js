@@ -0,0 +1,13 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+
+// Renders a protected page, or sends signed-out visitors to the login page
+// with the URL they asked for so they can be returned there afterwards
+export default function RequireAuth({ user, render }) {
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+  return render();
+}
@@ -0,0 +1,28 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import RequireAuth from './RequireAuth';
+
+const LoginStub = () => {
+  const location = useLocation();
+  return <p>Login page, return to {location.state?.from?.pathname}</p>;
+};
+
+const renderAt = (path, user) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <Routes>
+      <Route path="/login" element={<LoginStub />} />
+      <Route path="/history" element={<RequireAuth user={user} render={() => <p>History page</p>} />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+test('renders the protected page for signed-in users', () => {
+  renderAt('/history', { email: 'user@example.com' });
+  expect(screen.getByText('History page')).toBeInTheDocument();
+});
+
+test('sends signed-out visitors to login and remembers where they were going', () => {
+  renderAt('/history', null);
+  expect(screen.getByText('Login page, return to /history')).toBeInTheDocument();
+  expect(screen.queryByText('History page')).not.toBeInTheDocument();
+});
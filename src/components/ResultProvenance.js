@@ -0,0 +1,30 @@
+import React from 'react';
+import { getProvider } from '../providers';
+
+const providerName = (id) => getProvider(id)?.name || id;
+
+// Which engine made the result, and what happened to the ones tried before it.
+// Results saved before fallback chains existed only know their source, and
+// 'original' marks the photo the canvas merge fell back to when it failed.
+export default function ResultProvenance({ image }) {
+  if (!image) return null;
+
+  const earlier = (image.attempts || []).filter(attempt => attempt.status !== 'succeeded');
+
+  return (
+    <div>
+      <p className="text-gray-600 text-lg">
+        {image.source === 'original' ? 'Merge failed - showing the original photo' : `Generated with ${providerName(image.source)}`}
+      </p>
+      {earlier.length > 0 && (
+        <ul className="mt-2 text-sm text-gray-500 space-y-1">
+          {earlier.map(attempt => (
+            <li key={attempt.providerId}>
+              {attempt.name || providerName(attempt.providerId)} {attempt.status === 'skipped' ? 'was skipped' : 'failed'}: {attempt.error}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { render, screen } from '@testing-library/react';
+import ResultProvenance from './ResultProvenance';
+
+test('names the engine and the ones that failed before it', () => {
+  const image = {
+    source: 'canvas',
+    attempts: [
+      { providerId: 'nanobanana', name: 'Nano Banana API', status: 'failed', error: 'Rate limited' },
+      { providerId: 'canvas', name: 'Canvas Merge (Free)', status: 'succeeded' }
+    ]
+  };
+  render(<ResultProvenance image={image} />);
+
+  expect(screen.getByText('Generated with Canvas Merge (Free)')).toBeInTheDocument();
+  expect(screen.getByText('Nano Banana API failed: Rate limited')).toBeInTheDocument();
+});
+
+test('labels the original photo shown when the merge failed', () => {
+  render(<ResultProvenance image={{ source: 'original' }} />);
+
+  expect(screen.getByText('Merge failed - showing the original photo')).toBeInTheDocument();
+  expect(screen.queryByText(/Generated with/)).not.toBeInTheDocument();
+});
@@ -0,0 +1,39 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+
+// Selectable grid of generated results - the selected one is downloaded or shared
+export default function ResultsGallery({ images, selectedId, onSelect }) {
+  if (images.length < 2) return null;
+
+  return (
+    <div className="mt-8 max-w-4xl mx-auto">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4 text-center">
+        {images.length} results - pick your favourite
+      </h3>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4" role="listbox" aria-label="Generated results">
+        {images.map(image => {
+          const isSelected = image.id === selectedId;
+          return (
+            <button
+              key={image.id}
+              role="option"
+              aria-selected={isSelected}
+              onClick={() => onSelect(image.id)}
+              className={`relative bg-white rounded-xl shadow overflow-hidden border-4 transition ${
+                isSelected ? 'border-purple-600' : 'border-transparent hover:border-purple-200'
+              }`}
+            >
+              <img src={image.url} alt={image.label || `Result ${image.id}`} className="w-full h-40 object-cover" />
+              <p className="text-xs font-medium text-gray-700 py-2">{image.label || `Result ${image.id}`}</p>
+              {isSelected && (
+                <span className="absolute top-2 right-2 bg-purple-600 text-white rounded-full p-1">
+                  <Check className="w-4 h-4" />
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Link2, Copy, Check, Share2, Trash2, RefreshCw, Image as ImageIcon } from 'lucide-react';
+import {
+  DEFAULT_SHARE_EXPIRY,
+  SHARE_EXPIRY_OPTIONS,
+  createShareLink,
+  isShareExpired,
+  revokeShareLink,
+  updateShareExpiry
+} from '../utils/shareLinks';
+
+const SHARE_TEXT = 'Check out my virtual try-on result!';
+
+const formatExpiry = (share) => {
+  if (!share.expiresAt) return 'Never expires';
+  const date = new Date(share.expiresAt).toLocaleString();
+  return isShareExpired(share) ? `Expired on ${date}` : `Expires on ${date}`;
+};
+
+// Creates and manages the public permalink of a result. `image.share` holds the
+// link details; onShareChange receives the updated link (or null once revoked).
+export default function ShareDialog({ image, onShareChange, onClose }) {
+  const share = image.share;
+  const [expiresIn, setExpiresIn] = useState(DEFAULT_SHARE_EXPIRY);
+  const [shareError, setShareError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [confirmRevoke, setConfirmRevoke] = useState(false);
+
+  const runShareAction = async (action) => {
+    setShareError('');
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      setShareError(error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCreate = () => runShareAction(async () => {
+    onShareChange(await createShareLink(image, { expiresIn, title: image.label ? `My StitchPix AI try-on - ${image.label}` : '' }));
+  });
+
+  const handleUpdateExpiry = () => runShareAction(async () => {
+    onShareChange(await updateShareExpiry(share, expiresIn));
+  });
+
+  const handleRevoke = () => runShareAction(async () => {
+    setConfirmRevoke(false);
+    try {
+      await revokeShareLink(share);
+    } catch (error) {
+      // Already gone on the server (e.g. the development server restarted)
+      if (![404, 410].includes(error.status)) throw error;
+    }
+    onShareChange(null);
+  });
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(share.url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      setShareError('Could not copy the link - select it and copy it manually');
+    }
+  };
+
+  const handleShareLink = async () => {
+    try {
+      await navigator.share({ title: 'My StitchPix AI Result', text: SHARE_TEXT, url: share.url });
+    } catch (error) {
+      if (error.name !== 'AbortError') setShareError(`Could not share: ${error.message}`);
+    }
+  };
+
+  // Send the image itself where the browser supports sharing files
+  const handleShareFile = () => runShareAction(async () => {
+    const blob = await (await fetch(image.url)).blob();
+    const file = new File([blob], `stitchpix-ai-result-${image.id}.${blob.type.split('/')[1] || 'png'}`, { type: blob.type });
+    if (!navigator.canShare({ files: [file] })) {
+      throw new Error('This browser cannot share image files');
+    }
+    try {
+      await navigator.share({ title: 'My StitchPix AI Result', text: SHARE_TEXT, files: [file] });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  });
+
+  const expirySelect = (
+    <select
+      value={expiresIn === null ? 'never' : expiresIn}
+      onChange={(e) => setExpiresIn(e.target.value === 'never' ? null : Number(e.target.value))}
+      aria-label="Link expiry"
+      className="flex-1 text-sm border border-gray-300 rounded-lg px-2 py-2"
+    >
+      {SHARE_EXPIRY_OPTIONS.map(({ label, value }) => (
+        <option key={label} value={value === null ? 'never' : value}>{label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md" role="dialog" aria-label="Share result">
+        <h3 className="text-xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+          <Link2 className="w-5 h-5 text-purple-600" />
+          Share Your Try-On
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">Anyone with the link can view this result.</p>
+
+        {!share ? (
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700">Link expires after</label>
+            <div className="flex gap-2">
+              {expirySelect}
+              <button
+                onClick={handleCreate}
+                disabled={isBusy}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium disabled:opacity-50 flex items-center gap-2"
+              >
+                {isBusy && <RefreshCw className="w-4 h-4 animate-spin" />}
+                Create Link
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex gap-2">
+              <input
+                readOnly
+                value={share.url}
+                aria-label="Share link"
+                onFocus={(e) => e.target.select()}
+                className={`flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm ${isShareExpired(share) ? 'text-gray-400 line-through' : ''}`}
+              />
+              <button onClick={handleCopy} aria-label="Copy link" className="px-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition">
+                {copied ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+              </button>
+              {navigator.share && (
+                <button onClick={handleShareLink} aria-label="Send link" className="px-3 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition">
+                  <Share2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            <p className={`text-sm ${isShareExpired(share) ? 'text-red-600' : 'text-gray-600'}`}>{formatExpiry(share)}</p>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Change expiry</label>
+              <div className="flex gap-2">
+                {expirySelect}
+                <button
+                  onClick={handleUpdateExpiry}
+                  disabled={isBusy}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium disabled:opacity-50"
+                >
+                  Update
+                </button>
+              </div>
+            </div>
+
+            {confirmRevoke ? (
+              <div className="flex gap-2">
+                <button
+                  onClick={handleRevoke}
+                  disabled={isBusy}
+                  className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition font-medium disabled:opacity-50"
+                >
+                  Revoke link for everyone
+                </button>
+                <button
+                  onClick={() => setConfirmRevoke(false)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-medium"
+                >
+                  Keep
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => setConfirmRevoke(true)}
+                className="flex items-center gap-1 text-sm text-red-600 hover:text-red-800 font-medium"
+              >
+                <Trash2 className="w-4 h-4" />
+                Revoke link
+              </button>
+            )}
+          </div>
+        )}
+
+        {shareError && <p className="mt-4 text-sm text-red-600">{shareError}</p>}
+
+        <div className="flex gap-3 mt-6">
+          {navigator.canShare && (
+            <button
+              onClick={handleShareFile}
+              disabled={isBusy}
+              className="flex items-center gap-1 text-sm text-purple-600 hover:text-purple-800 font-medium"
+            >
+              <ImageIcon className="w-4 h-4" />
+              Send the image instead
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="ml-auto px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
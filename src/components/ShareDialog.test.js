@@ -0,0 +1,52 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import ShareDialog from './ShareDialog';
+
+const image = { id: 1, url: 'data:image/png;base64,cmVzdWx0', quality: 'Canvas Merge', source: 'canvas' };
+const share = {
+  id: 'abc',
+  url: 'http://localhost:5000/s/abc',
+  imageUrl: 'http://localhost:5000/api/shares/abc/image',
+  expiresAt: '2099-01-01T00:00:00.000Z',
+  ownerToken: 'owner-secret'
+};
+
+beforeEach(() => {
+  localStorage.setItem('token', 'session-token');
+  localStorage.setItem('user', JSON.stringify({ email: 'user@example.com' }));
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('creates a permalink with the chosen expiry', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 201, json: async () => share });
+  const onShareChange = jest.fn();
+  render(<ShareDialog image={image} onShareChange={onShareChange} onClose={() => {}} />);
+
+  fireEvent.change(screen.getByLabelText('Link expiry'), { target: { value: 'never' } });
+  fireEvent.click(screen.getByText('Create Link'));
+
+  await waitFor(() => expect(onShareChange).toHaveBeenCalledWith(share));
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:5000/api/shares');
+  expect(JSON.parse(options.body)).toMatchObject({ image: image.url, expiresIn: null });
+  // The share server is not the auth backend, so the session token stays in the browser
+  expect(options.headers.Authorization).toBeUndefined();
+});
+
+test('revokes an existing link with its owner token', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 204, json: async () => { throw new Error('No body'); } });
+  const onShareChange = jest.fn();
+  render(<ShareDialog image={{ ...image, share }} onShareChange={onShareChange} onClose={() => {}} />);
+
+  expect(screen.getByLabelText('Share link')).toHaveValue(share.url);
+  fireEvent.click(screen.getByText('Revoke link'));
+  fireEvent.click(screen.getByText('Revoke link for everyone'));
+
+  await waitFor(() => expect(onShareChange).toHaveBeenCalledWith(null));
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:5000/api/shares/abc');
+  expect(options.method).toBe('DELETE');
+  expect(options.headers['X-Share-Token']).toBe('owner-secret');
+});
@@ -0,0 +1,197 @@
+import React, { useRef, useState } from 'react';
+import { Upload, ImageIcon, Crop, RefreshCw, Link2, Ban, Camera } from 'lucide-react';
+import { imageFromDataTransfer } from '../utils/imageImport';
+
+// Full class names so Tailwind keeps them
+const ACCENTS = {
+  purple: {
+    icon: 'text-purple-600',
+    idle: 'border-purple-300 hover:border-purple-500 bg-purple-50',
+    active: 'border-purple-600 bg-purple-100 ring-4 ring-purple-200',
+    upload: 'text-purple-400',
+    link: 'text-purple-600 hover:text-purple-800',
+    button: 'bg-purple-600 hover:bg-purple-700'
+  },
+  pink: {
+    icon: 'text-pink-600',
+    idle: 'border-pink-300 hover:border-pink-500 bg-pink-50',
+    active: 'border-pink-600 bg-pink-100 ring-4 ring-pink-200',
+    upload: 'text-pink-400',
+    link: 'text-pink-600 hover:text-pink-800',
+    button: 'bg-pink-600 hover:bg-pink-700'
+  }
+};
+
+// While dragging only the kinds/types of the items are visible, not the files
+const describeDrag = (dataTransfer) => {
+  const items = Array.from(dataTransfer?.items || []);
+  const files = items.filter(item => item.kind === 'file');
+  if (files.length) {
+    return files.some(item => !item.type || item.type.startsWith('image/')) ? 'valid' : 'invalid';
+  }
+  const types = Array.from(dataTransfer?.types || []);
+  return ['text/uri-list', 'text/html', 'text/plain'].some(type => types.includes(type)) ? 'valid' : 'invalid';
+};
+
+// One upload card: click to browse, drop a file or image, paste while focused,
+// or (with allowUrl) paste an image/product page link. Everything found is
+// handed to onImport as { file }, { url } or { unsupported: message }.
+// onTakePhoto adds a "Take photo" button for capturing with the camera.
+export default function UploadSlot({ title, accent, photo, alt, emptyTitle, emptyHint, isProcessing, allowUrl, onImport, onCrop, onTakePhoto }) {
+  const colors = ACCENTS[accent];
+  const [dragState, setDragState] = useState(null);
+  const [urlInput, setUrlInput] = useState('');
+  const dragDepth = useRef(0);
+
+  const handleDragEnter = (e) => {
+    e.preventDefault();
+    dragDepth.current += 1;
+    setDragState(describeDrag(e.dataTransfer));
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = describeDrag(e.dataTransfer) === 'valid' ? 'copy' : 'none';
+  };
+
+  // dragleave also fires when moving over child elements, so count the depth
+  const handleDragLeave = () => {
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (!dragDepth.current) setDragState(null);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    dragDepth.current = 0;
+    setDragState(null);
+    const source = imageFromDataTransfer(e.dataTransfer);
+    if (source) onImport(source);
+  };
+
+  const handlePaste = (e) => {
+    if (e.target.tagName === 'INPUT') return;
+    const source = imageFromDataTransfer(e.clipboardData);
+    if (source) {
+      e.preventDefault();
+      onImport(source);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    // Reset so choosing the same file again still fires onChange
+    e.target.value = '';
+    if (file) onImport({ file });
+  };
+
+  const handleUrlSubmit = (e) => {
+    e.preventDefault();
+    if (!urlInput.trim()) return;
+    onImport({ url: urlInput.trim() });
+    setUrlInput('');
+  };
+
+  const dropClasses = dragState === 'invalid'
+    ? 'border-red-400 bg-red-50 cursor-not-allowed'
+    : dragState === 'valid' ? colors.active : colors.idle;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+        <ImageIcon className={`w-5 h-5 ${colors.icon}`} />
+        {title}
+      </h3>
+      <label
+        className="cursor-pointer block focus:outline-none"
+        tabIndex={0}
+        aria-label={`${title} - click to browse, drop or paste an image`}
+        onDragEnter={handleDragEnter}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        onPaste={handlePaste}
+      >
+        <input
+          type="file"
+          accept="image/*"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <div className={`relative border-4 border-dashed rounded-xl h-80 flex items-center justify-center transition ${dropClasses}`}>
+          {dragState === 'invalid' ? (
+            <div className="text-center">
+              <Ban className="w-16 h-16 text-red-400 mx-auto mb-4" />
+              <p className="text-red-600 font-medium">Only images can be dropped here</p>
+            </div>
+          ) : dragState === 'valid' ? (
+            <div className="text-center">
+              <Upload className={`w-16 h-16 mx-auto mb-4 ${colors.upload}`} />
+              <p className="text-gray-700 font-medium">Drop to use this image</p>
+            </div>
+          ) : photo ? (
+            <img src={photo} alt={alt} className="max-h-full max-w-full object-contain rounded-lg" />
+          ) : (
+            <div className="text-center">
+              <Upload className={`w-16 h-16 mx-auto mb-4 ${colors.upload}`} />
+              <p className="text-gray-600 font-medium">{emptyTitle}</p>
+              <p className="text-gray-400 text-sm mt-2">{emptyHint}</p>
+              <p className="text-gray-400 text-xs mt-4">Drag & drop or paste an image here</p>
+            </div>
+          )}
+          {isProcessing && (
+            <div className="absolute inset-0 bg-white bg-opacity-70 rounded-lg flex items-center justify-center">
+              <RefreshCw className={`w-10 h-10 animate-spin ${colors.icon}`} />
+            </div>
+          )}
+        </div>
+      </label>
+
+      {allowUrl && (
+        <form onSubmit={handleUrlSubmit} className="mt-3 flex gap-2">
+          <div className="relative flex-1">
+            <Link2 className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="url"
+              value={urlInput}
+              onChange={(e) => setUrlInput(e.target.value)}
+              placeholder="Or paste an image URL"
+              aria-label={`${title} image URL`}
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isProcessing || !urlInput.trim()}
+            className={`px-4 py-2 text-white rounded-lg transition text-sm font-medium disabled:opacity-50 ${colors.button}`}
+          >
+            Import
+          </button>
+        </form>
+      )}
+
+      {(photo || onTakePhoto) && (
+        <div className="mt-3 flex gap-4">
+          {onTakePhoto && (
+            <button
+              onClick={onTakePhoto}
+              disabled={isProcessing}
+              className={`flex items-center gap-1 text-sm font-medium disabled:opacity-50 ${colors.link}`}
+            >
+              <Camera className="w-4 h-4" />
+              Take photo
+            </button>
+          )}
+          {photo && (
+            <button
+              onClick={onCrop}
+              className={`flex items-center gap-1 text-sm font-medium ${colors.link}`}
+            >
+              <Crop className="w-4 h-4" />
+              Crop & straighten
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Stamp, Save, Check } from 'lucide-react';
+import { blobToDataUrl, loadImage } from '../utils/image';
+import { downscaleDataUrl, validateImageFile } from '../utils/preprocess';
+import { WATERMARK_POSITIONS, drawWatermark, saveWatermarkPreset } from '../utils/watermark';
+
+const PREVIEW_SIZE = 360;
+const MAX_LOGO_SIZE = 512;
+
+// Watermark options with a live preview on the result. `watermark` is
+// controlled by the parent; "Save as my preset" stores it for the account.
+export default function WatermarkSettings({ user, image, watermark, onChange }) {
+  const [watermarkError, setWatermarkError] = useState('');
+  const [saved, setSaved] = useState(false);
+  const canvasRef = useRef(null);
+
+  const update = (changes) => {
+    setSaved(false);
+    onChange({ ...watermark, ...changes });
+  };
+
+  // Redraw the preview whenever the result or the watermark changes
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(image.url)
+      .then(async (img) => {
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+        const scale = Math.min(1, PREVIEW_SIZE / Math.max(img.width, img.height));
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        await drawWatermark(ctx, canvas.width, canvas.height, watermark);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [image.url, watermark]);
+
+  const handleLogoUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const fileError = validateImageFile(file);
+    if (fileError) {
+      setWatermarkError(fileError);
+      return;
+    }
+    try {
+      // Logos are kept small so the preset fits in browser storage
+      update({ type: 'logo', logo: await downscaleDataUrl(await blobToDataUrl(file), MAX_LOGO_SIZE) });
+      setWatermarkError('');
+    } catch (error) {
+      setWatermarkError('Could not read that logo - please use a PNG or JPEG image');
+    }
+  };
+
+  const handleSavePreset = () => {
+    try {
+      saveWatermarkPreset(user, watermark);
+      setSaved(true);
+      setWatermarkError('');
+    } catch (error) {
+      setWatermarkError(error.message);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={watermark.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          className="accent-purple-600"
+        />
+        <Stamp className="w-4 h-4 text-purple-600" />
+        Add watermark
+      </label>
+
+      {watermark.enabled && (
+        <div className="mt-3 space-y-3">
+          <canvas ref={canvasRef} aria-label="Watermark preview" className="block mx-auto max-w-full rounded-lg shadow" />
+
+          <div className="flex gap-2">
+            {['text', 'logo'].map(type => (
+              <button
+                key={type}
+                onClick={() => update({ type })}
+                aria-pressed={watermark.type === type}
+                className={`flex-1 py-1.5 rounded-lg text-sm font-medium transition ${
+                  watermark.type === type ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {type === 'text' ? 'Text' : 'Logo'}
+              </button>
+            ))}
+          </div>
+
+          {watermark.type === 'text' ? (
+            <input
+              type="text"
+              value={watermark.text}
+              onChange={(e) => update({ text: e.target.value })}
+              placeholder="e.g. Your Studio Name"
+              aria-label="Watermark text"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          ) : (
+            <label className="flex items-center gap-3 text-sm text-gray-700 cursor-pointer">
+              {watermark.logo && <img src={watermark.logo} alt="Watermark logo" className="h-10 max-w-[6rem] object-contain bg-gray-100 rounded" />}
+              <span className="px-3 py-1.5 bg-gray-100 rounded-lg hover:bg-gray-200 transition font-medium">
+                {watermark.logo ? 'Replace logo' : 'Upload logo'}
+              </span>
+              <input type="file" accept="image/*" onChange={handleLogoUpload} className="hidden" />
+            </label>
+          )}
+
+          <select
+            value={watermark.position}
+            onChange={(e) => update({ position: e.target.value })}
+            aria-label="Watermark position"
+            className="w-full text-sm border border-gray-300 rounded-lg px-2 py-2"
+          >
+            {WATERMARK_POSITIONS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+          </select>
+
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              <span className="flex justify-between mb-1">Opacity <span className="text-gray-500">{Math.round(watermark.opacity * 100)}%</span></span>
+              <input
+                type="range"
+                min={0.1}
+                max={1}
+                step={0.05}
+                value={watermark.opacity}
+                onChange={(e) => update({ opacity: Number(e.target.value) })}
+                className="w-full accent-purple-600"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              <span className="flex justify-between mb-1">Size <span className="text-gray-500">{Math.round(watermark.scale * 100)}%</span></span>
+              <input
+                type="range"
+                min={0.05}
+                max={0.8}
+                step={0.05}
+                value={watermark.scale}
+                onChange={(e) => update({ scale: Number(e.target.value) })}
+                className="w-full accent-purple-600"
+              />
+            </label>
+          </div>
+
+          <button
+            onClick={handleSavePreset}
+            className="flex items-center gap-1 text-sm text-purple-600 hover:text-purple-800 font-medium"
+          >
+            {saved ? <Check className="w-4 h-4" /> : <Save className="w-4 h-4" />}
+            {saved ? 'Saved as your preset' : 'Save as my preset'}
+          </button>
+          {watermarkError && <p className="text-sm text-red-600">{watermarkError}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+// config.js - Backend and provider endpoints, field names and feature toggles
+//
+// Defaults come from the build-time REACT_APP_* variables. public/config.json
+// is fetched before the app renders and overrides any of them, so the same
+// build can run against production, staging or a local mock server. Read
+// values through getConfig() when they are used, not at import time.
+
+const env = process.env;
+
+// Unset toggles keep their default; anything but 'true' turns them off
+const flag = (value, fallback = true) => (value === undefined || value === '' ? fallback : value === 'true');
+
+export const DEFAULT_CONFIG = {
+  apiUrl: env.REACT_APP_API_URL || 'https://stitchpix-backend-1.onrender.com',
+  proxyUrl: env.REACT_APP_PROXY_URL || 'http://localhost:5000',
+  shareApiUrl: env.REACT_APP_SHARE_API_URL || env.REACT_APP_PROXY_URL || 'http://localhost:5000',
+  auth: {
+    loginPath: '/api/auth/login',
+    signupPath: '/api/auth/signup',
+    refreshPath: '/api/auth/refresh',
+    forgotPasswordPath: '/api/auth/forgot-password',
+    resetPasswordPath: '/api/auth/reset-password',
+    verifyEmailPath: '/api/auth/verify-email',
+    resendVerificationPath: '/api/auth/resend-verification'
+  },
+  // `fields` are the request field names for the face and garment photos
+  providers: {
+    nanobanana: {
+      url: env.REACT_APP_NANOBANANA_URL || 'https://api.nanobanana.ai/api/try-on',
+      fields: { personImage: 'person_image', garmentImage: 'garment_image' }
+    },
+    replicate: {
+      baseUrl: env.REACT_APP_REPLICATE_API_URL || 'https://api.replicate.com/v1',
+      // IDM-VTON try-on model
+      version: env.REACT_APP_REPLICATE_MODEL_VERSION || 'c871bb9b046607b680449ecbae55fd8c6d945e0a1948644bf2361b3d021d3ff4',
+      fields: { personImage: 'human_img', garmentImage: 'garm_img' }
+    },
+    huggingface: {
+      baseUrl: env.REACT_APP_HF_API_URL || 'https://api-inference.huggingface.co',
+      model: env.REACT_APP_HF_TRYON_MODEL || 'yisol/IDM-VTON',
+      fields: { personImage: 'person_image', garmentImage: 'garment_image' }
+    },
+    // Upscaler used only by the console API tester (utils/apiTest.js)
+    deepai: {
+      url: env.REACT_APP_DEEPAI_URL || 'https://api.deepai.org/api/torch-srgan'
+    }
+  },
+  features: {
+    wardrobe: flag(env.REACT_APP_FEATURE_WARDROBE),
+    sharing: flag(env.REACT_APP_FEATURE_SHARING),
+    serverProxy: flag(env.REACT_APP_FEATURE_SERVER_PROXY),
+    diagnostics: flag(env.REACT_APP_FEATURE_DIAGNOSTICS)
+  }
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects are merged key by key; everything else is replaced
+export const mergeConfig = (base, overrides) => {
+  if (!isPlainObject(overrides)) return base;
+  return Object.fromEntries(
+    [...new Set([...Object.keys(base), ...Object.keys(overrides)])].map(key => [
+      key,
+      isPlainObject(base[key]) && isPlainObject(overrides[key])
+        ? mergeConfig(base[key], overrides[key])
+        : overrides[key] === undefined ? base[key] : overrides[key]
+    ])
+  );
+};
+
+let config = DEFAULT_CONFIG;
+
+export const getConfig = () => config;
+
+// Replace the runtime overrides (loadRuntimeConfig, tests)
+export const setConfig = (overrides) => {
+  config = mergeConfig(DEFAULT_CONFIG, overrides);
+  return config;
+};
+
+// A provider's endpoint settings; explicitly passed options win over the config
+export const providerConfig = (id, options = {}) => mergeConfig(config.providers[id] || {}, options);
+
+// Fetch public/config.json. A missing or broken file leaves the build defaults in place.
+export const loadRuntimeConfig = async (url = `${env.PUBLIC_URL || ''}/config.json`) => {
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) return config;
+    return setConfig(await response.json());
+  } catch (error) {
+    console.warn('Could not load runtime config, using build defaults:', error.message);
+    return config;
+  }
+};
@@ -0,0 +1,71 @@
+import { DEFAULT_CONFIG, getConfig, loadRuntimeConfig, mergeConfig, providerConfig, setConfig } from './config';
+import { runProvider } from './providers';
+import { createReplicateProvider } from './providers/replicate';
+
+const inputs = {
+  userPhoto: 'data:image/png;base64,iVBORw0KGgo=',
+  dressPhoto: 'data:image/png;base64,iVBORw0KGgo='
+};
+
+afterEach(() => {
+  setConfig({});
+  delete global.fetch;
+});
+
+test('merges nested overrides over the defaults', () => {
+  const merged = mergeConfig(DEFAULT_CONFIG, {
+    apiUrl: 'https://staging.example.com',
+    providers: { nanobanana: { fields: { garmentImage: 'clothing_image' } } },
+    features: { wardrobe: false }
+  });
+
+  expect(merged.apiUrl).toBe('https://staging.example.com');
+  expect(merged.providers.nanobanana).toEqual({
+    url: DEFAULT_CONFIG.providers.nanobanana.url,
+    fields: { personImage: 'person_image', garmentImage: 'clothing_image' }
+  });
+  expect(merged.features).toEqual({ ...DEFAULT_CONFIG.features, wardrobe: false });
+  expect(merged.auth).toBe(DEFAULT_CONFIG.auth);
+});
+
+test('loads public/config.json at runtime', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ proxyUrl: 'http://localhost:4010' }) });
+
+  await loadRuntimeConfig();
+
+  expect(global.fetch).toHaveBeenCalledWith('/config.json', { cache: 'no-store' });
+  expect(getConfig().proxyUrl).toBe('http://localhost:4010');
+});
+
+test('keeps the build defaults without a usable config file', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+  expect(await loadRuntimeConfig()).toEqual(DEFAULT_CONFIG);
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => { throw new SyntaxError('Unexpected token <'); } });
+  expect(await loadRuntimeConfig()).toEqual(DEFAULT_CONFIG);
+  expect(console.warn).toHaveBeenCalled();
+  console.warn.mockRestore();
+});
+
+test('lets explicit provider options win over the config', () => {
+  setConfig({ providers: { replicate: { baseUrl: 'http://mock.local/v1' } } });
+
+  expect(providerConfig('replicate').baseUrl).toBe('http://mock.local/v1');
+  expect(providerConfig('replicate', { baseUrl: 'http://other.local/v1', version: undefined }).version)
+    .toBe(DEFAULT_CONFIG.providers.replicate.version);
+  expect(createReplicateProvider().testRequest({ apiKey: 'key' }).url).toBe('http://mock.local/v1/account');
+});
+
+test('sends Nano Banana requests to the configured endpoint and fields', async () => {
+  setConfig({
+    providers: { nanobanana: { url: 'http://localhost:4010/try-on', fields: { garmentImage: 'clothing_image' } } }
+  });
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ image_url: 'http://localhost:4010/result.jpg' }) });
+
+  await runProvider('nanobanana', inputs, { credentials: { apiKey: 'key' } });
+
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:4010/try-on');
+  expect([...options.body.keys()]).toEqual(['person_image', 'clothing_image']);
+});
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react';
+import { Activity, Plug, Globe, Image, ScrollText, FileDown, RefreshCw, CheckCircle, AlertCircle, Trash2 } from 'lucide-react';
+import { getConfig } from '../config';
+import { canUseProxy, listProviders } from '../providers';
+import { proxyUrl } from '../providers/proxy';
+import { APITester } from '../utils/apiTest';
+import { APIDebugger, createSupportBundle, exchangeLog, networkTester } from '../utils/debugHelper';
+import { downloadBlob } from '../utils/exportImage';
+
+// Endpoints checked without credentials: latency and whether the browser may call them
+const listEndpoints = () => [
+  { name: 'StitchPix server', url: `${proxyUrl()}/api/health` },
+  ...listProviders()
+    .filter(provider => provider.testRequest)
+    .map(provider => ({ name: provider.name, url: provider.testRequest({}).url }))
+];
+
+const StatusIcon = ({ ok }) => (ok
+  ? <CheckCircle className="w-4 h-4 text-green-600 flex-shrink-0" />
+  : <AlertCircle className="w-4 h-4 text-red-600 flex-shrink-0" />);
+
+// Connection tests per engine, endpoint checks, the current photos and a log
+// of recent provider requests - all downloadable as one JSON support bundle
+export default function DiagnosticsPage({ credentials, useProxy, userPhoto, dressPhoto }) {
+  const [connections, setConnections] = useState({});
+  const [endpoints, setEndpoints] = useState(null);
+  const [isCheckingEndpoints, setIsCheckingEndpoints] = useState(false);
+  const [log, setLog] = useState(exchangeLog.entries);
+  const providers = listProviders();
+
+  useEffect(() => exchangeLog.subscribe(setLog), []);
+
+  const images = [
+    { name: 'Face photo', photo: userPhoto },
+    { name: 'Dress photo', photo: dressPhoto }
+  ].map(({ name, photo }) => ({ name, ...(photo ? APIDebugger.validateImageData(photo) : { valid: false, error: 'No photo added' }) }));
+
+  const testConnection = async (provider) => {
+    setConnections(current => ({ ...current, [provider.id]: { pending: true } }));
+    const result = await APITester.testConnection(provider, {
+      credentials: credentials?.[provider.id],
+      useProxy
+    });
+    setConnections(current => ({ ...current, [provider.id]: result }));
+  };
+
+  const checkEndpoints = async () => {
+    setIsCheckingEndpoints(true);
+    const results = [];
+    for (const endpoint of listEndpoints()) {
+      results.push({ ...endpoint, ...await networkTester.testEndpoint(endpoint.url) });
+    }
+    setEndpoints(results);
+    setIsCheckingEndpoints(false);
+  };
+
+  const handleDownloadBundle = () => {
+    const bundle = createSupportBundle({
+      config: getConfig(),
+      useProxy,
+      connections: providers.map(provider => ({ provider: provider.id, ...connections[provider.id] })),
+      endpoints: endpoints?.map(({ headers, ...endpoint }) => endpoint) || null,
+      images
+    });
+    const fileName = `stitchpix-support-${bundle.generatedAt.replace(/[:.]/g, '-')}.json`;
+    downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), fileName);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-12">
+      <div className="text-center mb-8">
+        <h2 className="text-4xl font-bold text-gray-800 mb-4 flex items-center justify-center gap-3">
+          <Activity className="w-9 h-9 text-purple-600" />
+          Diagnostics
+        </h2>
+        <p className="text-gray-600 text-lg">Check your engines and connection, and send the results to support</p>
+        <button
+          onClick={handleDownloadBundle}
+          className="mt-4 inline-flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition font-medium"
+        >
+          <FileDown className="w-4 h-4" />
+          Download support bundle
+        </button>
+        <p className="text-xs text-gray-500 mt-2">API keys and photos are never included - only their type and size</p>
+      </div>
+
+      <div className="space-y-6">
+        <section className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
+            <Plug className="w-5 h-5 text-purple-600" />
+            Engines
+          </h3>
+          <ul className="divide-y">
+            {providers.map(provider => {
+              const result = connections[provider.id];
+              return (
+                <li key={provider.id} className="py-3 flex flex-wrap items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800">{provider.name}</p>
+                    {useProxy && canUseProxy(provider) && <p className="text-xs text-gray-500">Through the StitchPix server</p>}
+                  </div>
+                  {result && !result.pending && (
+                    <span className={`flex items-center gap-1 text-sm ${result.ok ? 'text-green-700' : 'text-red-700'}`}>
+                      <StatusIcon ok={result.ok} />
+                      {result.message}
+                      {result.latency != null && <span className="text-gray-500">({result.latency} ms)</span>}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => testConnection(provider)}
+                    disabled={result?.pending}
+                    className="flex items-center gap-1 px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition text-sm font-medium disabled:opacity-50"
+                  >
+                    {result?.pending ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Plug className="w-4 h-4" />}
+                    Test connection
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+
+        <section className="bg-white rounded-xl shadow-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+              <Globe className="w-5 h-5 text-purple-600" />
+              Endpoints
+            </h3>
+            <button
+              onClick={checkEndpoints}
+              disabled={isCheckingEndpoints}
+              className="flex items-center gap-1 px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition text-sm font-medium disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${isCheckingEndpoints ? 'animate-spin' : ''}`} />
+              Check latency & CORS
+            </button>
+          </div>
+          {endpoints ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="font-medium pb-2">Endpoint</th>
+                  <th className="font-medium pb-2">Status</th>
+                  <th className="font-medium pb-2">Latency</th>
+                  <th className="font-medium pb-2">CORS</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {endpoints.map(endpoint => (
+                  <tr key={endpoint.url}>
+                    <td className="py-2 pr-2">
+                      <p className="text-gray-800">{endpoint.name}</p>
+                      <p className="text-xs text-gray-500 break-all">{endpoint.url}</p>
+                    </td>
+                    <td className="py-2 pr-2">{endpoint.error ? <span className="text-red-700">{endpoint.error}</span> : endpoint.status}</td>
+                    <td className="py-2 pr-2">{endpoint.latency != null ? `${endpoint.latency} ms` : '-'}</td>
+                    <td className="py-2">{endpoint.cors}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-500">Not checked yet</p>
+          )}
+        </section>
+
+        <section className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
+            <Image className="w-5 h-5 text-purple-600" />
+            Photos
+          </h3>
+          <ul className="space-y-2">
+            {images.map(image => (
+              <li key={image.name} className="flex items-center gap-2 text-sm">
+                <StatusIcon ok={image.valid} />
+                <span className="font-medium text-gray-800">{image.name}:</span>
+                <span className="text-gray-600">{image.valid ? `${image.mimeType}, ${image.fileSize}` : image.error}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section className="bg-white rounded-xl shadow-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+              <ScrollText className="w-5 h-5 text-purple-600" />
+              Recent engine requests
+            </h3>
+            {log.length > 0 && (
+              <button
+                onClick={() => exchangeLog.clear()}
+                className="flex items-center gap-1 text-sm text-gray-500 hover:text-red-600"
+              >
+                <Trash2 className="w-4 h-4" />
+                Clear
+              </button>
+            )}
+          </div>
+          {log.length === 0 ? (
+            <p className="text-sm text-gray-500">No requests yet - they appear here while you generate try-ons</p>
+          ) : (
+            <ul className="space-y-2">
+              {[...log].reverse().map(entry => (
+                <li key={entry.id}>
+                  <details className="bg-gray-50 rounded-lg">
+                    <summary className="cursor-pointer px-3 py-2 text-sm flex flex-wrap gap-2">
+                      <span className={entry.response?.status < 400 ? 'text-green-700 font-medium' : 'text-red-700 font-medium'}>
+                        {entry.response ? entry.response.status : 'Failed'}
+                      </span>
+                      <span className="text-gray-800">{entry.request.method}</span>
+                      <span className="text-gray-600 break-all flex-1">{entry.request.url}</span>
+                      <span className="text-gray-500">{entry.duration} ms</span>
+                    </summary>
+                    <pre className="p-3 bg-gray-900 text-green-300 text-xs rounded-b-lg overflow-x-auto whitespace-pre-wrap">
+                      {JSON.stringify(entry, null, 2)}
+                    </pre>
+                  </details>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Mail, RefreshCw, CheckCircle } from 'lucide-react';
+import AuthLayout from '../components/AuthLayout';
+import { isValidEmail, requestPasswordReset } from '../utils/accountApi';
+import { ApiError } from '../utils/apiClient';
+
+// Ask for a password reset link. The confirmation doesn't reveal whether an
+// account exists for the address.
+export default function ForgotPasswordPage({ initialEmail = '', onBackToLogin }) {
+  const [email, setEmail] = useState(initialEmail);
+  const [isSending, setIsSending] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+  const [resetError, setResetError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setResetError('');
+    if (!isValidEmail(email)) {
+      setResetError('Invalid email format');
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      await requestPasswordReset(email);
+      setSentTo(email);
+    } catch (error) {
+      setResetError(error instanceof ApiError ? error.message : 'Could not send the reset link. Check your internet or try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <AuthLayout subtitle="Reset your password" error={resetError}>
+      {sentTo ? (
+        <div className="text-center space-y-4">
+          <CheckCircle className="w-12 h-12 text-green-600 mx-auto" />
+          <p className="text-gray-700">
+            If an account exists for <span className="font-semibold">{sentTo}</span>, we've sent it a link to choose a new password.
+          </p>
+          <p className="text-sm text-gray-500">Check your spam folder if it doesn't arrive within a few minutes.</p>
+          <button onClick={() => setSentTo(null)} className="text-purple-600 hover:text-purple-800 font-medium text-sm">
+            Use a different email
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600">Enter the email you signed up with and we'll send you a link to reset your password.</p>
+          <div>
+            <label htmlFor="reset-email" className="block text-sm font-medium text-gray-700 mb-2">Email *</label>
+            <div className="relative">
+              <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                id="reset-email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="you@example.com"
+              />
+            </div>
+          </div>
+          <button
+            type="submit"
+            disabled={isSending}
+            className="w-full flex items-center justify-center gap-2 bg-gradient-to-r from-purple-600 to-pink-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition duration-200 disabled:opacity-50"
+          >
+            {isSending && <RefreshCw className="w-4 h-4 animate-spin" />}
+            Send reset link
+          </button>
+        </form>
+      )}
+
+      <div className="mt-6 text-center">
+        <button onClick={onBackToLogin} className="text-purple-600 hover:text-purple-800 font-medium">
+          Back to login
+        </button>
+      </div>
+    </AuthLayout>
+  );
+}
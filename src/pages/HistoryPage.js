@@ -0,0 +1,160 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Clock, Trash2, RefreshCw, ExternalLink, HardDrive, AlertCircle } from 'lucide-react';
+import { getProvider, listProviders } from '../providers';
+import { deleteHistoryEntry, getStorageEstimate, listHistoryEntries } from '../utils/historyStore';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+// Browse, re-open, re-run and delete the signed-in user's past try-ons stored in this browser
+export default function HistoryPage({ user, onOpen, onRerun }) {
+  const [entries, setEntries] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const [historyError, setHistoryError] = useState('');
+  const [rerunModels, setRerunModels] = useState({});
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listHistoryEntries(user));
+      setStorage(await getStorageEstimate());
+    } catch (error) {
+      setEntries([]);
+      setHistoryError(error.message || 'Could not load your history');
+    }
+  }, [user]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleDelete = async (id) => {
+    setPendingDelete(null);
+    try {
+      await deleteHistoryEntry(id, user);
+      await refresh();
+    } catch (error) {
+      setHistoryError(`Could not delete entry: ${error.message}`);
+    }
+  };
+
+  const providers = listProviders();
+  const usagePercent = storage?.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0;
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-12">
+      <div className="text-center mb-8">
+        <h2 className="text-4xl font-bold text-gray-800 mb-4">Your Try-On History</h2>
+        <p className="text-gray-600 text-lg">Saved in this browser only</p>
+      </div>
+
+      {storage && (
+        <div className="max-w-md mx-auto mb-8">
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span className="flex items-center gap-1"><HardDrive className="w-4 h-4" /> Storage used</span>
+            <span>{formatBytes(storage.usage)} of {formatBytes(storage.quota)}</span>
+          </div>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${usagePercent > 80 ? 'bg-red-500' : 'bg-purple-600'}`}
+              style={{ width: `${Math.max(usagePercent, 1)}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {historyError && (
+        <div className="mb-6 p-4 bg-yellow-50 border-2 border-yellow-200 rounded-lg flex items-start gap-3 max-w-2xl mx-auto">
+          <AlertCircle className="w-5 h-5 text-yellow-600 mt-0.5 flex-shrink-0" />
+          <p className="text-yellow-800 text-sm">{historyError}</p>
+        </div>
+      )}
+
+      {entries === null && (
+        <div className="flex items-center justify-center text-gray-500 py-12">
+          <RefreshCw className="w-6 h-6 animate-spin mr-2" />
+          Loading history...
+        </div>
+      )}
+
+      {entries?.length === 0 && !historyError && (
+        <p className="text-center text-gray-500 py-12">No try-ons yet - generate one in the Studio and it will show up here.</p>
+      )}
+
+      <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-6">
+        {entries?.map(entry => (
+          <div key={entry.id} className="bg-white rounded-xl shadow-lg overflow-hidden flex flex-col">
+            <button onClick={() => onOpen(entry)} className="block">
+              <img src={entry.thumbnail} alt="Try-on result" className="w-full h-56 object-cover" />
+            </button>
+            <div className="p-4 flex-1 flex flex-col gap-3">
+              <div className="flex items-center gap-3">
+                <img src={entry.userPhoto} alt="Face input" className="w-10 h-10 rounded-full object-cover border" />
+                <img src={entry.dressPhoto} alt="Dress input" className="w-10 h-10 rounded object-cover border" />
+                <div className="text-sm">
+                  <p className="font-semibold text-gray-800">{getProvider(entry.modelId)?.name || entry.modelId}</p>
+                  <p className="text-gray-500 flex items-center gap-1">
+                    <Clock className="w-3 h-3" />
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                {entry.results.length} result{entry.results.length === 1 ? '' : 's'} · {entry.results[0]?.quality}
+              </p>
+
+              <div className="flex gap-2 mt-auto">
+                <button
+                  onClick={() => onOpen(entry)}
+                  className="flex-1 flex items-center justify-center gap-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 transition text-sm font-medium"
+                >
+                  <ExternalLink className="w-4 h-4" />
+                  Open
+                </button>
+                {pendingDelete === entry.id ? (
+                  <button
+                    onClick={() => handleDelete(entry.id)}
+                    className="flex-1 bg-red-600 text-white py-2 rounded-lg hover:bg-red-700 transition text-sm font-medium"
+                  >
+                    Confirm delete
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => setPendingDelete(entry.id)}
+                    aria-label="Delete entry"
+                    className="px-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+
+              <div className="flex gap-2">
+                <select
+                  value={rerunModels[entry.id] || entry.modelId}
+                  onChange={(e) => setRerunModels({ ...rerunModels, [entry.id]: e.target.value })}
+                  aria-label="Model to re-run with"
+                  className="flex-1 text-sm border border-gray-300 rounded-lg px-2 py-2"
+                >
+                  {providers.map(provider => (
+                    <option key={provider.id} value={provider.id}>{provider.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => onRerun(entry, rerunModels[entry.id] || entry.modelId)}
+                  className="flex items-center gap-1 px-3 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition text-sm font-medium"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Re-run
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
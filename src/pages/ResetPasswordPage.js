@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { Lock, RefreshCw, CheckCircle } from 'lucide-react';
+import AuthLayout from '../components/AuthLayout';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import { resetPassword } from '../utils/accountApi';
+import { ApiError } from '../utils/apiClient';
+import { passwordError } from '../utils/password';
+
+// Choose a new password from the emailed /reset-password?token=...&email=... link.
+// The email lets the password rules refuse passwords based on it, as signup does.
+export default function ResetPasswordPage({ token, email, onRequestNewLink, onBackToLogin }) {
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDone, setIsDone] = useState(false);
+  const [resetError, setResetError] = useState(token ? '' : 'This reset link is incomplete - request a new one.');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const ruleError = passwordError(password, { email });
+    if (ruleError) {
+      setResetError(ruleError);
+      return;
+    }
+    if (password !== confirmation) {
+      setResetError('Passwords do not match');
+      return;
+    }
+
+    setResetError('');
+    setIsSaving(true);
+    try {
+      await resetPassword(token, password);
+      setIsDone(true);
+    } catch (error) {
+      setResetError(error instanceof ApiError ? error.message : 'Could not reset your password. Check your internet or try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isDone) {
+    return (
+      <AuthLayout subtitle="Reset your password">
+        <div className="text-center space-y-4">
+          <CheckCircle className="w-12 h-12 text-green-600 mx-auto" />
+          <p className="text-gray-700">Your password has been changed. Log in with your new password.</p>
+          <button
+            onClick={onBackToLogin}
+            className="w-full bg-gradient-to-r from-purple-600 to-pink-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition duration-200"
+          >
+            Go to login
+          </button>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout subtitle="Choose a new password" error={resetError}>
+      {token && (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 mb-2">New password *</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                id="new-password"
+                type="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="••••••••"
+              />
+            </div>
+            <PasswordStrengthMeter password={password} context={{ email }} />
+          </div>
+          <div>
+            <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 mb-2">Confirm new password *</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                id="confirm-password"
+                type="password"
+                autoComplete="new-password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="••••••••"
+              />
+            </div>
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="w-full flex items-center justify-center gap-2 bg-gradient-to-r from-purple-600 to-pink-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition duration-200 disabled:opacity-50"
+          >
+            {isSaving && <RefreshCw className="w-4 h-4 animate-spin" />}
+            Set new password
+          </button>
+        </form>
+      )}
+
+      <div className="mt-6 flex justify-between text-sm">
+        <button onClick={onRequestNewLink} className="text-purple-600 hover:text-purple-800 font-medium">
+          Request a new link
+        </button>
+        <button onClick={onBackToLogin} className="text-purple-600 hover:text-purple-800 font-medium">
+          Back to login
+        </button>
+      </div>
+    </AuthLayout>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MailCheck, RefreshCw, CheckCircle, Send } from 'lucide-react';
+import AuthLayout from '../components/AuthLayout';
+import { isValidEmail, resendVerification, verifyEmail } from '../utils/accountApi';
+import { ApiError } from '../utils/apiClient';
+
+// Seconds before another verification email can be requested
+const RESEND_COOLDOWN = 60;
+
+// "Send the email again" with a cooldown; asks for the address when it isn't known
+function ResendVerification({ email: knownEmail }) {
+  const [email, setEmail] = useState(knownEmail || '');
+  const [cooldown, setCooldown] = useState(0);
+  const [isSending, setIsSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!cooldown) return undefined;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const handleResend = async () => {
+    if (!isValidEmail(email)) {
+      setMessage('Enter the email you signed up with');
+      return;
+    }
+    setIsSending(true);
+    try {
+      await resendVerification(email);
+      setMessage(`We sent a new link to ${email}`);
+      setCooldown(RESEND_COOLDOWN);
+    } catch (error) {
+      setMessage(error instanceof ApiError ? error.message : 'Could not send the email. Check your internet or try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {!knownEmail && (
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          aria-label="Email"
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          placeholder="you@example.com"
+        />
+      )}
+      <button
+        onClick={handleResend}
+        disabled={isSending || cooldown > 0}
+        className="w-full flex items-center justify-center gap-2 bg-gray-100 text-gray-700 py-3 rounded-lg font-medium hover:bg-gray-200 transition disabled:opacity-50"
+      >
+        {isSending ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+        {cooldown > 0 ? `Resend in ${cooldown}s` : 'Resend verification email'}
+      </button>
+      {message && <p className="text-sm text-gray-600 text-center">{message}</p>}
+    </div>
+  );
+}
+
+// Two states: waiting for the user to click the emailed link (after signup or
+// an unverified login), and confirming the /verify-email?token=... link itself.
+// onVerified receives the backend response, which may include a session.
+export default function VerifyEmailPage({ token, email, onVerified, onBackToLogin }) {
+  const [status, setStatus] = useState(token ? 'verifying' : 'pending');
+  const [verifyError, setVerifyError] = useState('');
+  // Tokens are single-use - don't send one twice when the effect re-runs
+  const sentTokenRef = useRef(null);
+
+  useEffect(() => {
+    if (!token || sentTokenRef.current === token) return;
+    sentTokenRef.current = token;
+    setStatus('verifying');
+    verifyEmail(token)
+      .then(data => {
+        setStatus('verified');
+        onVerified(data);
+      })
+      .catch(error => {
+        setStatus('failed');
+        setVerifyError(error instanceof ApiError ? error.message : 'Could not verify your email. Check your internet or try again.');
+      });
+  }, [token, onVerified]);
+
+  return (
+    <AuthLayout subtitle="Verify your email" error={verifyError}>
+      {status === 'verifying' && (
+        <div className="flex items-center justify-center text-gray-600 py-6">
+          <RefreshCw className="w-5 h-5 animate-spin mr-2" />
+          Verifying your email...
+        </div>
+      )}
+
+      {status === 'verified' && (
+        <div className="text-center space-y-4">
+          <CheckCircle className="w-12 h-12 text-green-600 mx-auto" />
+          <p className="text-gray-700">Your email is verified - you're all set.</p>
+        </div>
+      )}
+
+      {status === 'pending' && (
+        <div className="text-center space-y-4">
+          <MailCheck className="w-12 h-12 text-purple-600 mx-auto" />
+          <p className="text-gray-700">
+            We sent a verification link to {email ? <span className="font-semibold">{email}</span> : 'your email'}.
+            Click it to activate your account, then log in.
+          </p>
+          <ResendVerification email={email} />
+        </div>
+      )}
+
+      {status === 'failed' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 text-center">The link may have expired or already been used. Request a new one:</p>
+          <ResendVerification email={email} />
+        </div>
+      )}
+
+      <div className="mt-6 text-center">
+        <button onClick={onBackToLogin} className="text-purple-600 hover:text-purple-800 font-medium">
+          {status === 'verified' ? 'Continue to login' : 'Back to login'}
+        </button>
+      </div>
+    </AuthLayout>
+  );
+}
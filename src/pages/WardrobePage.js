@@ -0,0 +1,343 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Shirt, Upload, Sparkles, RefreshCw, RotateCcw, Trash2, Download, ExternalLink, AlertCircle, CheckCircle, X } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { isAbortError } from '../providers';
+import { MAX_UPLOAD_BYTES, normalizeUpload, validateImageFile } from '../utils/preprocess';
+import { downloadBlob, exportImage, loadExportOptions } from '../utils/exportImage';
+import { createTaskQueue } from '../utils/taskQueue';
+import { loadWatermarkPreset } from '../utils/watermark';
+import { createZip } from '../utils/zip';
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4];
+const DEFAULT_CONCURRENCY = 2;
+
+const STATUS_LABELS = {
+  idle: 'Ready',
+  queued: 'Waiting...',
+  running: 'Generating...',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '') || 'garment';
+
+let nextItemId = 1;
+
+// One face photo against many garments. Each garment is generated as its own
+// try-on through a queue that limits how many run at once. onGenerate(dressPhoto,
+// { onProgress, signal }) runs the studio's current engine and resolves with
+// { images, historyId }; blockedReason explains why nothing can run yet.
+// Cancelling an item aborts its signal and puts it back to idle. The ZIP
+// download uses the export dialog's last options and the user's watermark preset.
+export default function WardrobePage({ user, userPhoto, modelName, blockedReason, onGenerate, onOpenResult }) {
+  const [items, setItems] = useState([]);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [wardrobeError, setWardrobeError] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const [isZipping, setIsZipping] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const queueRef = useRef(null);
+  if (!queueRef.current) {
+    queueRef.current = createTaskQueue(DEFAULT_CONCURRENCY);
+  }
+  // Item id -> AbortController of its queued or running try-on
+  const controllersRef = useRef(new Map());
+
+  // Leaving the page stops every try-on that is still queued or running
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
+  const updateItem = (id, changes) => {
+    setItems(current => current.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const addGarments = async (files) => {
+    const images = files.filter(file => !validateImageFile(file));
+    const rejected = files.filter(file => validateImageFile(file));
+    setWardrobeError(rejected.length
+      ? `Skipped ${rejected.map(file => file.name).join(', ')} - only images up to ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB can be added`
+      : '');
+    if (!images.length) return;
+
+    setIsAdding(true);
+    const added = [];
+    for (const file of images) {
+      try {
+        added.push({ id: nextItemId++, name: baseName(file.name), photo: await normalizeUpload(file), status: 'idle' });
+      } catch (error) {
+        setWardrobeError(`Could not read ${file.name}: ${error.message}`);
+      }
+    }
+    setItems(current => [...current, ...added]);
+    setIsAdding(false);
+  };
+
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    addGarments(files);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addGarments(Array.from(e.dataTransfer.files));
+  };
+
+  const runItem = (item) => {
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, { status: 'queued', progress: null, error: '' });
+    queueRef.current.push(async () => {
+      if (controller.signal.aborted) return;
+      updateItem(item.id, { status: 'running' });
+      try {
+        const { images, historyId } = await onGenerate(item.photo, {
+          onProgress: (progress) => updateItem(item.id, { progress }),
+          signal: controller.signal
+        });
+        updateItem(item.id, { status: 'done', images, historyId, progress: null });
+      } catch (error) {
+        // A cancelled item was already reset, and may have been started again since
+        if (!isAbortError(error)) {
+          updateItem(item.id, { status: 'failed', error: error.message, progress: null });
+        }
+      } finally {
+        if (controllersRef.current.get(item.id) === controller) {
+          controllersRef.current.delete(item.id);
+        }
+      }
+    });
+  };
+
+  const handleCancel = (id) => {
+    controllersRef.current.get(id)?.abort();
+    controllersRef.current.delete(id);
+    updateItem(id, { status: 'idle', progress: null });
+  };
+
+  const handleRunAll = () => items.filter(item => item.status === 'idle').forEach(runItem);
+
+  const handleRetryFailed = () => items.filter(item => item.status === 'failed').forEach(runItem);
+
+  const handleConcurrencyChange = (value) => {
+    setConcurrency(value);
+    queueRef.current.setConcurrency(value);
+  };
+
+  const handleRemove = (id) => setItems(current => current.filter(item => item.id !== id));
+
+  const handleDownloadAll = async () => {
+    setIsZipping(true);
+    setWardrobeError('');
+    try {
+      const options = { ...loadExportOptions(), watermark: loadWatermarkPreset(user) };
+      const files = [];
+      for (const item of items.filter(entry => entry.status === 'done')) {
+        for (const [index, image] of item.images.entries()) {
+          const { blob, fileName } = await exportImage(image, options);
+          const extension = fileName.slice(fileName.lastIndexOf('.'));
+          files.push({ name: `${item.name}${item.images.length > 1 ? `-${index + 1}` : ''}${extension}`, data: blob });
+        }
+      }
+      downloadBlob(await createZip(files), 'stitchpix-ai-wardrobe.zip');
+    } catch (error) {
+      setWardrobeError(`Could not create the download: ${error.message}`);
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  const count = (status) => items.filter(item => item.status === status).length;
+  const doneCount = count('done');
+  const failedCount = count('failed');
+  const activeCount = count('queued') + count('running');
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-12">
+      <div className="text-center mb-8">
+        <h2 className="text-4xl font-bold text-gray-800 mb-4">Wardrobe Try-On</h2>
+        <p className="text-gray-600 text-lg">Try one face photo against a whole rack of garments</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6 flex flex-wrap items-center gap-6">
+        {userPhoto ? (
+          <img src={userPhoto} alt="Your face" className="w-20 h-20 rounded-full object-cover border-4 border-purple-200" />
+        ) : (
+          <div className="w-20 h-20 rounded-full bg-purple-50 border-4 border-dashed border-purple-200" />
+        )}
+        <div className="flex-1 min-w-0 text-sm text-gray-600">
+          <p>Engine: <span className="font-semibold text-gray-800">{modelName}</span></p>
+          <p>
+            The face photo, engine and API keys come from the <Link to="/studio" className="text-purple-600 hover:text-purple-800 font-medium">Studio</Link>.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Run at once
+          <select
+            value={concurrency}
+            onChange={(e) => handleConcurrencyChange(Number(e.target.value))}
+            className="border border-gray-300 rounded-lg px-2 py-1"
+          >
+            {CONCURRENCY_OPTIONS.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {(blockedReason || wardrobeError) && (
+        <div className="mb-6 p-4 bg-yellow-50 border-2 border-yellow-200 rounded-lg flex items-start gap-3 max-w-2xl mx-auto">
+          <AlertCircle className="w-5 h-5 text-yellow-600 mt-0.5 flex-shrink-0" />
+          <p className="text-yellow-800 text-sm">{blockedReason || wardrobeError}</p>
+        </div>
+      )}
+
+      <label
+        className={`mb-6 cursor-pointer border-4 border-dashed rounded-xl p-8 flex flex-col items-center justify-center transition ${
+          isDragging ? 'border-pink-600 bg-pink-100' : 'border-pink-300 hover:border-pink-500 bg-pink-50'
+        }`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input type="file" accept="image/*" multiple onChange={handleFileChange} className="hidden" />
+        {isAdding ? <RefreshCw className="w-10 h-10 text-pink-400 mb-2 animate-spin" /> : <Upload className="w-10 h-10 text-pink-400 mb-2" />}
+        <p className="text-gray-600 font-medium">Add garment photos</p>
+        <p className="text-gray-400 text-sm mt-1">Choose or drop several images at once</p>
+      </label>
+
+      {items.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <p className="text-sm text-gray-600 mr-auto">
+            {items.length} garment{items.length === 1 ? '' : 's'} · {doneCount} done
+            {failedCount > 0 && ` · ${failedCount} failed`}
+            {activeCount > 0 && ` · ${activeCount} in progress`}
+          </p>
+          {failedCount > 0 && (
+            <button
+              onClick={handleRetryFailed}
+              disabled={Boolean(blockedReason)}
+              className="flex items-center gap-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition text-sm font-medium disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Retry failed
+            </button>
+          )}
+          <button
+            onClick={handleDownloadAll}
+            disabled={!doneCount || isZipping}
+            className="flex items-center gap-1 px-4 py-2 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition text-sm font-medium disabled:opacity-50"
+          >
+            {isZipping ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            Download all (ZIP)
+          </button>
+          <button
+            onClick={handleRunAll}
+            disabled={Boolean(blockedReason) || !count('idle')}
+            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-purple-600 to-pink-500 text-white rounded-lg hover:shadow-lg transition text-sm font-semibold disabled:opacity-50"
+          >
+            <Sparkles className="w-4 h-4" />
+            Try on all
+          </button>
+        </div>
+      )}
+
+      <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-6">
+        {items.map(item => (
+          <div key={item.id} className="bg-white rounded-xl shadow-lg overflow-hidden flex flex-col" data-testid="wardrobe-item">
+            <div className="grid grid-cols-2 gap-1 bg-gray-100">
+              <img src={item.photo} alt={`Garment ${item.name}`} className="w-full h-48 object-cover" />
+              {item.status === 'done' ? (
+                <button onClick={() => item.historyId && onOpenResult(item.historyId)} disabled={!item.historyId} className="block">
+                  <img src={item.images[0].url} alt={`Try-on ${item.name}`} className="w-full h-48 object-cover" />
+                </button>
+              ) : (
+                <div className="h-48 flex items-center justify-center text-gray-400">
+                  {item.status === 'running' || item.status === 'queued'
+                    ? <RefreshCw className={`w-8 h-8 ${item.status === 'running' ? 'animate-spin text-purple-500' : ''}`} />
+                    : <Shirt className="w-8 h-8" />}
+                </div>
+              )}
+            </div>
+            <div className="p-4 flex-1 flex flex-col gap-2">
+              <div className="flex items-center justify-between gap-2">
+                <p className="font-semibold text-gray-800 truncate">{item.name}</p>
+                <span className={`text-xs font-medium flex items-center gap-1 ${
+                  item.status === 'failed' ? 'text-red-600' : item.status === 'done' ? 'text-green-600' : 'text-gray-500'
+                }`}
+                >
+                  {item.status === 'done' && <CheckCircle className="w-3 h-3" />}
+                  {STATUS_LABELS[item.status]}
+                </span>
+              </div>
+
+              {item.status === 'running' && (
+                <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full bg-purple-600 transition-all ${item.progress?.progress == null ? 'w-1/3 animate-pulse' : ''}`}
+                    style={item.progress?.progress != null ? { width: `${Math.round(item.progress.progress * 100)}%` } : undefined}
+                  />
+                </div>
+              )}
+              {item.status === 'failed' && <p className="text-xs text-red-600">{item.error}</p>}
+
+              <div className="flex gap-2 mt-auto">
+                {item.status === 'failed' && (
+                  <button
+                    onClick={() => runItem(item)}
+                    disabled={Boolean(blockedReason)}
+                    className="flex-1 flex items-center justify-center gap-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 transition text-sm font-medium disabled:opacity-50"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    Retry
+                  </button>
+                )}
+                {item.status === 'idle' && (
+                  <button
+                    onClick={() => runItem(item)}
+                    disabled={Boolean(blockedReason)}
+                    className="flex-1 flex items-center justify-center gap-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 transition text-sm font-medium disabled:opacity-50"
+                  >
+                    <Sparkles className="w-4 h-4" />
+                    Try on
+                  </button>
+                )}
+                {item.status === 'done' && item.historyId && (
+                  <button
+                    onClick={() => onOpenResult(item.historyId)}
+                    className="flex-1 flex items-center justify-center gap-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 transition text-sm font-medium"
+                  >
+                    <ExternalLink className="w-4 h-4" />
+                    Open
+                  </button>
+                )}
+                {['queued', 'running'].includes(item.status) && (
+                  <button
+                    onClick={() => handleCancel(item.id)}
+                    className="flex-1 flex items-center justify-center gap-1 bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition text-sm font-medium"
+                  >
+                    <X className="w-4 h-4" />
+                    Cancel
+                  </button>
+                )}
+                {!['queued', 'running'].includes(item.status) && (
+                  <button
+                    onClick={() => handleRemove(item.id)}
+                    aria-label={`Remove ${item.name}`}
+                    className="ml-auto px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import WardrobePage from './WardrobePage';
+import { downloadBlob, exportImage } from '../utils/exportImage';
+import { normalizeUpload } from '../utils/preprocess';
+import { createZip } from '../utils/zip';
+
+jest.mock('../utils/preprocess', () => ({ ...jest.requireActual('../utils/preprocess'), normalizeUpload: jest.fn() }));
+jest.mock('../utils/exportImage', () => ({
+  ...jest.requireActual('../utils/exportImage'),
+  exportImage: jest.fn(),
+  downloadBlob: jest.fn()
+}));
+jest.mock('../utils/zip', () => ({ createZip: jest.fn() }));
+
+const FACE = 'data:image/png;base64,ZmFjZQ==';
+
+// onGenerate stand-in whose runs stay pending until the test settles them
+const pendingGenerate = () => {
+  const runs = [];
+  const onGenerate = jest.fn((dressPhoto, { signal }) => new Promise((resolve, reject) => {
+    runs.push({ dressPhoto, signal, resolve });
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('Cancelled'), { name: 'AbortError' })));
+  }));
+  return { onGenerate, runs };
+};
+
+const renderWardrobe = (onGenerate) => render(
+  <MemoryRouter>
+    <WardrobePage user={{ email: 'user@example.com' }} userPhoto={FACE} modelName="Canvas Merge (Free)" onGenerate={onGenerate} onOpenResult={() => {}} />
+  </MemoryRouter>
+);
+
+const addGarments = async (...names) => {
+  const files = names.map(name => new File(['garment'], `${name}.png`, { type: 'image/png' }));
+  fireEvent.change(screen.getByLabelText(/Add garment photos/), { target: { files } });
+  await waitFor(() => expect(screen.getAllByTestId('wardrobe-item')).toHaveLength(names.length));
+};
+
+const result = (name) => ({ images: [{ id: 1, url: `https://cdn.example.com/${name}.png`, source: 'canvas' }], historyId: `history-${name}` });
+
+beforeEach(() => {
+  normalizeUpload.mockImplementation(async (file) => `data:image/png;base64,${file.name}`);
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('runs the whole rack two at a time', async () => {
+  const { onGenerate, runs } = pendingGenerate();
+  renderWardrobe(onGenerate);
+  await addGarments('red-dress', 'blue-shirt', 'green-coat');
+
+  fireEvent.click(screen.getByText('Try on all'));
+
+  await waitFor(() => expect(onGenerate).toHaveBeenCalledTimes(2));
+  expect(screen.getAllByText('Generating...')).toHaveLength(2);
+  expect(screen.getByText('Waiting...')).toBeInTheDocument();
+
+  await act(async () => runs[0].resolve(result('red-dress')));
+  await waitFor(() => expect(onGenerate).toHaveBeenCalledTimes(3));
+  expect(runs[2].dressPhoto).toBe('data:image/png;base64,green-coat.png');
+
+  await act(async () => {
+    runs[1].resolve(result('blue-shirt'));
+    runs[2].resolve(result('green-coat'));
+  });
+  expect(await screen.findByText(/3 done/)).toBeInTheDocument();
+  expect(screen.getByAltText('Try-on blue-shirt')).toHaveAttribute('src', 'https://cdn.example.com/blue-shirt.png');
+});
+
+test('cancels one item without stopping the others', async () => {
+  const { onGenerate, runs } = pendingGenerate();
+  renderWardrobe(onGenerate);
+  await addGarments('red-dress', 'blue-shirt');
+
+  fireEvent.click(screen.getByText('Try on all'));
+  await waitFor(() => expect(onGenerate).toHaveBeenCalledTimes(2));
+  fireEvent.click(screen.getAllByText('Cancel')[0]);
+
+  expect(runs[0].signal.aborted).toBe(true);
+  expect(runs[1].signal.aborted).toBe(false);
+  await act(async () => runs[1].resolve(result('blue-shirt')));
+
+  expect(await screen.findByText(/1 done/)).toBeInTheDocument();
+  expect(screen.getByText('Ready')).toBeInTheDocument();
+  expect(screen.queryByText('Failed')).not.toBeInTheDocument();
+});
+
+test('aborts running try-ons when the page is left', async () => {
+  const { onGenerate, runs } = pendingGenerate();
+  const { unmount } = renderWardrobe(onGenerate);
+  await addGarments('red-dress');
+
+  fireEvent.click(screen.getByText('Try on all'));
+  await waitFor(() => expect(onGenerate).toHaveBeenCalledTimes(1));
+  unmount();
+
+  expect(runs[0].signal.aborted).toBe(true);
+});
+
+test('zips every result with the saved export options and watermark', async () => {
+  localStorage.setItem('stitchpix_export_options', JSON.stringify({ format: 'jpeg', scale: 2 }));
+  const zip = new Blob(['zip']);
+  createZip.mockResolvedValue(zip);
+  exportImage.mockImplementation(async (image, { format }) => ({ blob: new Blob([image.url]), fileName: `stitchpix-ai-result-${image.id}.${format === 'jpeg' ? 'jpg' : 'png'}` }));
+  const onGenerate = jest.fn(async (dressPhoto) => (dressPhoto.includes('red-dress')
+    ? result('red-dress')
+    : { images: [{ id: 1, url: 'https://cdn.example.com/a.png' }, { id: 2, url: 'https://cdn.example.com/b.png' }], historyId: null }));
+  renderWardrobe(onGenerate);
+  await addGarments('red-dress', 'blue-shirt');
+
+  fireEvent.click(screen.getByText('Try on all'));
+  await screen.findByText(/2 done/);
+  fireEvent.click(screen.getByText('Download all (ZIP)'));
+
+  await waitFor(() => expect(downloadBlob).toHaveBeenCalledWith(zip, 'stitchpix-ai-wardrobe.zip'));
+  expect(exportImage).toHaveBeenCalledTimes(3);
+  expect(exportImage.mock.calls[0][1]).toMatchObject({ format: 'jpeg', scale: 2, includeMetadata: true, watermark: expect.objectContaining({ enabled: false }) });
+  expect(createZip.mock.calls[0][0].map(file => file.name)).toEqual(['red-dress.jpg', 'blue-shirt-1.jpg', 'blue-shirt-2.jpg']);
+});
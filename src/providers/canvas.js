@@ -0,0 +1,29 @@
+// canvas.js - Local canvas merge provider (no API key required)
+import { createMergedImages } from '../canvas/mergeImages';
+
+const canvasProvider = {
+  id: 'canvas',
+  name: 'Canvas Merge (Free)',
+  description: 'Basic image merging using canvas',
+  tier: 'free',
+  // Runs locally, so it can use the full working resolution
+  inputMaxSize: 2048,
+  timeout: 60 * 1000,
+  credentials: [],
+  settings: [
+    { key: 'feather', label: 'Edge feather', min: 0, max: 60, step: 5, defaultValue: 25, unit: '%' },
+    { key: 'colorMatch', label: 'Skin tone matching', min: 0, max: 100, step: 5, defaultValue: 60, unit: '%' },
+    { key: 'variants', label: 'Variations', min: 1, max: 4, step: 1, defaultValue: 4 }
+  ],
+
+  generate: ({ userPhoto, dressPhoto }, { settings }) => createMergedImages(userPhoto, dressPhoto, {
+    feather: settings.feather / 100,
+    colorMatch: settings.colorMatch / 100,
+    variants: settings.variants
+  }),
+
+  // createMergedImages already resolves to the result shape
+  mapResult: (images) => images
+};
+
+export default canvasProvider;
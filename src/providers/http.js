@@ -0,0 +1,93 @@
+// http.js - Abortable requests with retry and backoff for provider adapters
+//
+// Rate limits (429) and server errors (5xx) are retried with exponential
+// backoff. A Retry-After header takes precedence over the backoff, unless it
+// asks for a longer wait than we are willing to make.
+
+import { loggedFetch } from '../utils/debugHelper';
+
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30000;
+const MAX_RETRY_AFTER = 60000;
+
+export const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+export const abortError = (message = 'Generation cancelled') => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// setTimeout that rejects with an AbortError as soon as `signal` aborts
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason || abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason || abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms or null
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.ceil(Number(value) * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Wait before attempt `attempt + 1`: 1s, 2s, 4s... with a little jitter so
+// parallel requests (e.g. wardrobe mode) don't retry in lockstep
+export const backoffDelay = (attempt, { baseDelay = BASE_DELAY, maxDelay = MAX_DELAY, random = Math.random } = {}) => (
+  Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.8 + random() * 0.4)
+);
+
+// Run `request` (a function returning a fetch Response) until it succeeds, fails
+// with a status that isn't worth retrying, or runs out of retries. The last
+// response is returned either way, so callers keep their own error handling.
+export const fetchWithRetry = async (request, {
+  signal,
+  retries = DEFAULT_RETRIES,
+  retryOn = isRetryableStatus,
+  onRetry = () => {},
+  delay = sleep,
+  ...backoffOptions
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    const response = await request();
+    if (!retryOn(response.status) || attempt >= retries) return response;
+
+    const retryAfter = parseRetryAfter(response.headers?.get('retry-after'));
+    if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER) return response;
+
+    const wait = retryAfter ?? backoffDelay(attempt, backoffOptions);
+    onRetry({ status: response.status, attempt: attempt + 1, retries, wait });
+    await delay(wait, signal);
+  }
+};
+
+// Progress message shown while waiting to retry
+export const retryLog = ({ status, attempt, retries, wait }) => (
+  `${status === 429 ? 'Rate limited' : `Server error ${status}`} - retrying in ${Math.ceil(wait / 1000)}s (attempt ${attempt}/${retries})`
+);
+
+// fetch() with an AbortSignal and retries, for adapters calling provider APIs.
+// Every attempt shows up in the diagnostics request log.
+export const providerFetch = (url, options = {}, { signal, onProgress, ...retryOptions } = {}) => fetchWithRetry(
+  () => loggedFetch(url, { ...options, signal }),
+  {
+    signal,
+    onRetry: (retry) => onProgress?.({ status: 'retrying', progress: null, logs: [retryLog(retry)] }),
+    ...retryOptions
+  }
+);
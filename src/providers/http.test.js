@@ -0,0 +1,65 @@
+import { abortError, backoffDelay, fetchWithRetry, isAbortError, parseRetryAfter, sleep } from './http';
+
+const response = (status, headers = {}) => ({
+  ok: status < 400,
+  status,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null }
+});
+
+test('parses Retry-After as seconds or an HTTP date', () => {
+  expect(parseRetryAfter('3')).toBe(3000);
+  expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'))).toBe(5000);
+  expect(parseRetryAfter('soon')).toBeNull();
+  expect(parseRetryAfter(null)).toBeNull();
+});
+
+test('backs off exponentially up to the maximum delay', () => {
+  const random = () => 0.5;
+  expect([0, 1, 2].map(attempt => backoffDelay(attempt, { random }))).toEqual([1000, 2000, 4000]);
+  expect(backoffDelay(10, { random })).toBe(30000);
+});
+
+test('retries rate limits and server errors, honoring Retry-After', async () => {
+  const request = jest.fn()
+    .mockResolvedValueOnce(response(429, { 'retry-after': '2' }))
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(200));
+  const delay = jest.fn().mockResolvedValue();
+  const onRetry = jest.fn();
+
+  const result = await fetchWithRetry(request, { delay, onRetry, random: () => 0.5 });
+
+  expect(result.status).toBe(200);
+  expect(delay.mock.calls.map(([ms]) => ms)).toEqual([2000, 2000]);
+  expect(onRetry).toHaveBeenCalledWith({ status: 429, attempt: 1, retries: 3, wait: 2000 });
+});
+
+test('returns the last response once retries run out or the error is final', async () => {
+  const delay = jest.fn().mockResolvedValue();
+  const failing = jest.fn().mockResolvedValue(response(500));
+  expect((await fetchWithRetry(failing, { retries: 2, delay })).status).toBe(500);
+  expect(failing).toHaveBeenCalledTimes(3);
+
+  const badRequest = jest.fn().mockResolvedValue(response(400));
+  expect((await fetchWithRetry(badRequest, { delay })).status).toBe(400);
+  expect(badRequest).toHaveBeenCalledTimes(1);
+});
+
+test('gives up instead of waiting for a very long Retry-After', async () => {
+  const request = jest.fn().mockResolvedValue(response(429, { 'retry-after': '3600' }));
+  const delay = jest.fn();
+
+  expect((await fetchWithRetry(request, { delay })).status).toBe(429);
+  expect(delay).not.toHaveBeenCalled();
+});
+
+test('sleep rejects with an AbortError when the signal aborts', async () => {
+  const controller = new AbortController();
+  const waiting = sleep(60000, controller.signal);
+  controller.abort();
+
+  const error = await waiting.catch(e => e);
+  expect(isAbortError(error)).toBe(true);
+  expect(isAbortError(abortError())).toBe(true);
+  expect(isAbortError(new Error('other'))).toBe(false);
+});
@@ -0,0 +1,102 @@
+// huggingface.js - Hugging Face Inference API try-on provider
+//
+// Models on the Inference API are loaded on demand. While a model warms up the
+// API answers 503 with an estimated_time, so we wait that long and retry.
+import { providerConfig } from '../config';
+import { blobToDataUrl, dataUrlToBase64 } from '../utils/image';
+import { isRetryableStatus, providerFetch, sleep } from './http';
+
+const MAX_WAIT_SECONDS = 60;
+
+// 503 means "model loading" here and is retried below with the estimated time
+const retryOn = (status) => status !== 503 && isRetryableStatus(status);
+
+// baseUrl, model and fields default to the `huggingface` entry of the runtime config
+export const createHuggingFaceProvider = ({
+  baseUrl,
+  model,
+  fields,
+  maxRetries = 5,
+  delay = sleep
+} = {}) => {
+  const endpoint = () => providerConfig('huggingface', { baseUrl, model, fields });
+
+  return {
+    id: 'huggingface',
+    name: 'Hugging Face Inference API',
+    get description() {
+      return `Open-source try-on model (${endpoint().model})`;
+    },
+    tier: 'free',
+    // IDM-VTON works at 768x1024
+    inputMaxSize: 1024,
+    // Leaves room for the model to load (up to maxRetries waits)
+    timeout: 5 * 60 * 1000,
+    credentials: [{ key: 'apiKey', label: 'access token' }],
+    testRequest: ({ apiKey }) => {
+      const target = endpoint();
+      return { url: `${target.baseUrl}/status/${target.model}`, headers: { 'Authorization': `Bearer ${apiKey}` } };
+    },
+
+    generate: async ({ userPhoto, dressPhoto }, { credentials, onProgress = () => {}, signal }) => {
+      const target = endpoint();
+      try {
+        for (let attempt = 0; ; attempt++) {
+          const response = await providerFetch(`${target.baseUrl}/models/${target.model}`, {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${credentials.apiKey}`,
+              'Content-Type': 'application/json',
+              'Accept': 'image/png'
+            },
+            body: JSON.stringify({
+              inputs: {
+                [target.fields.personImage]: dataUrlToBase64(userPhoto),
+                [target.fields.garmentImage]: dataUrlToBase64(dressPhoto)
+              }
+            })
+          }, { signal, onProgress, retryOn, delay });
+
+          const contentType = response.headers.get('content-type') || '';
+
+          if (response.status === 503 && attempt < maxRetries) {
+            const data = await response.json().catch(() => ({}));
+            const waitSeconds = Math.min(Math.ceil(data.estimated_time || 10), MAX_WAIT_SECONDS);
+            onProgress({
+              status: 'loading',
+              progress: null,
+              logs: [`${data.error || 'Model is loading'} - retrying in ${waitSeconds}s (attempt ${attempt + 1}/${maxRetries})`]
+            });
+            await delay(waitSeconds * 1000, signal);
+            continue;
+          }
+
+          if (!response.ok) {
+            const data = contentType.includes('application/json') ? await response.json().catch(() => ({})) : {};
+            throw new Error(`Hugging Face API failed with status: ${response.status}${data.error ? ` (${data.error})` : ''}`);
+          }
+
+          if (!contentType.startsWith('image/')) {
+            throw new Error(`Expected an image response but received ${contentType || 'unknown content'}`);
+          }
+
+          onProgress({ status: 'succeeded', progress: 1, logs: [] });
+          return await response.blob();
+        }
+      } catch (error) {
+        throw new Error(`Hugging Face API Error: ${error.message}`);
+      }
+    },
+
+    mapResult: async (imageBlob) => [{
+      id: 1,
+      url: await blobToDataUrl(imageBlob),
+      quality: 'AI Try-On (Hugging Face)',
+      source: 'huggingface'
+    }]
+  };
+};
+
+const huggingFaceProvider = createHuggingFaceProvider();
+
+export default huggingFaceProvider;
@@ -0,0 +1,70 @@
+import { createHuggingFaceProvider } from './huggingface';
+
+const inputs = {
+  userPhoto: 'data:image/png;base64,dXNlcg==',
+  dressPhoto: 'data:image/png;base64,ZHJlc3M='
+};
+const credentials = { apiKey: 'hf_test' };
+
+const jsonResponse = (status, body) => ({
+  ok: status < 400,
+  status,
+  headers: new Headers({ 'content-type': 'application/json' }),
+  json: async () => body
+});
+
+const imageResponse = () => ({
+  ok: true,
+  status: 200,
+  headers: new Headers({ 'content-type': 'image/png' }),
+  blob: async () => new Blob(['png-bytes'], { type: 'image/png' })
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('sends both images to the configured model', async () => {
+  global.fetch = jest.fn().mockResolvedValue(imageResponse());
+  const provider = createHuggingFaceProvider({ baseUrl: 'http://hf.local', model: 'acme/tryon' });
+
+  await provider.generate(inputs, { credentials });
+
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://hf.local/models/acme/tryon');
+  expect(options.headers.Authorization).toBe('Bearer hf_test');
+  expect(JSON.parse(options.body)).toEqual({ inputs: { person_image: 'dXNlcg==', garment_image: 'ZHJlc3M=' } });
+});
+
+test('waits for the estimated time while the model loads, then retries', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(jsonResponse(503, { error: 'Model acme/tryon is currently loading', estimated_time: 12.4 }))
+    .mockResolvedValueOnce(imageResponse());
+  const delay = jest.fn().mockResolvedValue();
+  const onProgress = jest.fn();
+  const provider = createHuggingFaceProvider({ model: 'acme/tryon', delay });
+
+  const { signal } = new AbortController();
+
+  const blob = await provider.generate(inputs, { credentials, onProgress, signal });
+
+  expect(delay).toHaveBeenCalledWith(13000, signal);
+  expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+    status: 'loading',
+    logs: ['Model acme/tryon is currently loading - retrying in 13s (attempt 1/5)']
+  }));
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+
+  const [result] = await provider.mapResult(blob);
+  expect(result.url).toMatch(/^data:image\/png;base64,/);
+  expect(result.source).toBe('huggingface');
+});
+
+test('gives up after the retry limit', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(503, { error: 'Model is loading', estimated_time: 5 }));
+  const provider = createHuggingFaceProvider({ maxRetries: 2, delay: jest.fn().mockResolvedValue() });
+
+  await expect(provider.generate(inputs, { credentials }))
+    .rejects.toThrow('Hugging Face API Error: Hugging Face API failed with status: 503 (Model is loading)');
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
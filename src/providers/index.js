@@ -0,0 +1,189 @@
+// index.js - Try-on provider registry
+//
+// Every engine the studio can run is an adapter object registered here:
+//   id, name, description  - shown in the model dropdown
+//   tier                   - 'free' or 'paid' dropdown section
+//   credentials            - [{ key, label }] the adapter needs, e.g. an API key
+//   settings               - optional [{ key, label, min, max, step, defaultValue, unit }]
+//                            sliders shown on the upload page
+//   validate(inputs)       - optional, returns an error message or null
+//   generate(inputs, ctx)  - calls the engine, ctx holds { credentials, settings, onProgress, signal };
+//                            `signal` aborts on cancel or timeout (see http.js for fetch helpers)
+//   timeout                - optional ms before a run is given up (default 2 minutes)
+//   testRequest(credentials) - optional { url, headers } of a cheap GET used by the
+//                            diagnostics page to check the key and CORS
+//   mapResult(raw)         - converts the engine response to [{ id, url, quality, source }],
+//                            may return a promise
+//   proxyRoute             - optional server route (e.g. '/api/nanobanana') used instead
+//                            of generate when the user sends generation through the server
+import canvasProvider from './canvas';
+import huggingFaceProvider from './huggingface';
+import nanoBananaProvider from './nanobanana';
+import { ApiError } from '../utils/apiClient';
+import { abortError, isAbortError } from './http';
+import { generateViaProxy } from './proxy';
+import replicateProvider from './replicate';
+
+const registry = new Map();
+
+export const registerProvider = (provider) => {
+  if (!provider?.id || typeof provider.generate !== 'function' || typeof provider.mapResult !== 'function') {
+    throw new Error('A provider needs an id, a generate function and a mapResult function');
+  }
+  registry.set(provider.id, { credentials: [], settings: [], tier: 'free', ...provider });
+};
+
+[canvasProvider, nanoBananaProvider, replicateProvider, huggingFaceProvider].forEach(registerProvider);
+
+export const DEFAULT_PROVIDER_ID = canvasProvider.id;
+
+export { isAbortError } from './http';
+
+export const getProvider = (id) => registry.get(id);
+
+export const listProviders = (tier) => (
+  [...registry.values()].filter(provider => !tier || provider.tier === tier)
+);
+
+export const canUseProxy = (provider) => Boolean(provider?.proxyRoute);
+
+const isProxied = (provider, useProxy) => Boolean(useProxy) && canUseProxy(provider);
+
+// Proxied providers use the keys held by the server, not the browser's
+export const needsCredentials = (provider, { useProxy } = {}) => (
+  Boolean(provider?.credentials.length) && !isProxied(provider, useProxy)
+);
+
+export const getMissingCredentials = (provider, credentials = {}, options) => (
+  needsCredentials(provider, options) ? provider.credentials.filter(({ key }) => !credentials[key]) : []
+);
+
+// Setting values for a provider, falling back to each setting's default
+export const resolveSettings = (provider, values = {}) => Object.fromEntries(
+  (provider?.settings || []).map(({ key, defaultValue }) => [key, values[key] ?? defaultValue])
+);
+
+// Returns the first problem that would stop a provider from running, or null
+export const checkProviderInputs = (provider, inputs, credentials, options) => {
+  if (!provider) return 'Please select an AI model';
+  if (!inputs.userPhoto || !inputs.dressPhoto) return 'Please upload both your photo and a dress image!';
+
+  const [missing] = getMissingCredentials(provider, credentials, options);
+  if (missing) return `Please enter your ${missing.label} for ${provider.name}`;
+
+  return provider.validate ? provider.validate(inputs) : null;
+};
+
+const DEFAULT_TIMEOUT = 2 * 60 * 1000;
+
+const timeoutError = (provider, timeout) => {
+  const error = new Error(`${provider.name} did not respond within ${Math.round(timeout / 1000)} seconds`);
+  error.name = 'TimeoutError';
+  return error;
+};
+
+// Settle with `promise`, or reject with reason() as soon as `signal` aborts -
+// even when the adapter doesn't stop its own work
+const untilAborted = (promise, signal, reason) => new Promise((resolve, reject) => {
+  const onAbort = () => reject(reason());
+  signal.addEventListener('abort', onAbort, { once: true });
+  promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+});
+
+// onProgress receives { status, progress, logs } from adapters that report it.
+// Aborting `signal` rejects with an AbortError; running longer than the
+// provider's timeout rejects with a TimeoutError.
+export const runProvider = async (id, inputs, { credentials = {}, settings, onProgress, useProxy, signal } = {}) => {
+  const provider = getProvider(id);
+  const inputError = checkProviderInputs(provider, inputs, credentials, { useProxy });
+  if (inputError) {
+    throw new Error(inputError);
+  }
+
+  if (signal?.aborted) {
+    throw abortError();
+  }
+
+  const timeout = provider.timeout || DEFAULT_TIMEOUT;
+  const controller = new AbortController();
+  let stopReason = null;
+  const stop = (reason) => {
+    if (stopReason) return;
+    stopReason = reason;
+    controller.abort();
+  };
+  const onCancel = () => stop(abortError());
+  const timer = setTimeout(() => stop(timeoutError(provider, timeout)), timeout);
+  signal?.addEventListener('abort', onCancel, { once: true });
+
+  const run = async () => {
+    if (isProxied(provider, useProxy)) {
+      return generateViaProxy(provider, inputs, { signal: controller.signal, onProgress });
+    }
+    const raw = await provider.generate(inputs, {
+      credentials,
+      settings: resolveSettings(provider, settings),
+      onProgress,
+      signal: controller.signal
+    });
+    return provider.mapResult(raw);
+  };
+
+  try {
+    return await untilAborted(run(), controller.signal, () => stopReason);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onCancel);
+  }
+};
+
+// Providers to try in order: the chosen one first, then the user's fallback chain
+export const fallbackOrder = (primaryId, chain = []) => [primaryId, ...chain.filter(id => id !== primaryId)];
+
+const describeAttempt = ({ name, status, error }) => `${name} ${status === 'skipped' ? 'skipped' : 'failed'}: ${error}`;
+
+// Run the first provider in `ids` that succeeds. Providers that can't run
+// (e.g. no API key) are skipped; cancelling and signing out stop the chain.
+// Every returned image records the attempts that led to it and the settings it was made with:
+//   attempts - [{ providerId, name, status: 'failed' | 'skipped' | 'succeeded', error }]
+//   settings - the provider's settings with defaults filled in
+// optionsFor(id) gives runProvider's { credentials, settings, useProxy } for each
+// provider and prepareInputs(provider, inputs) resizes the photos for it.
+// Progress updates carry the providerId of the engine that is running.
+export const runWithFallback = async (ids, inputs, { optionsFor = () => ({}), prepareInputs = (provider, raw) => raw, onProgress, signal } = {}) => {
+  const attempts = [];
+
+  for (const id of ids) {
+    const provider = getProvider(id);
+    if (!provider) continue;
+
+    const options = optionsFor(id);
+    const report = (progress) => onProgress?.({ ...progress, providerId: id });
+    const inputError = checkProviderInputs(provider, inputs, options.credentials || {}, { useProxy: options.useProxy });
+    if (inputError) {
+      attempts.push({ providerId: id, name: provider.name, status: 'skipped', error: inputError });
+      continue;
+    }
+
+    if (attempts.length) {
+      report({ status: 'fallback', progress: null, logs: [...attempts.map(describeAttempt), `Trying ${provider.name}...`] });
+    }
+
+    try {
+      const results = await runProvider(id, await prepareInputs(provider, inputs), { ...options, onProgress: report, signal });
+      attempts.push({ providerId: id, name: provider.name, status: 'succeeded' });
+      const settings = resolveSettings(provider, options.settings);
+      return { providerId: id, results: results.map(image => ({ ...image, attempts, settings })) };
+    } catch (error) {
+      if (isAbortError(error) || (error instanceof ApiError && error.status === 401)) throw error;
+      console.error(`${provider.name} failed:`, error);
+      attempts.push({ providerId: id, name: provider.name, status: 'failed', error: error.message });
+    }
+  }
+
+  const error = new Error(attempts.length === 1
+    ? attempts[0].error
+    : `No engine could generate a result - ${attempts.map(describeAttempt).join('; ')}`);
+  error.attempts = attempts;
+  throw error;
+};
@@ -0,0 +1,201 @@
+import { checkProviderInputs, fallbackOrder, getProvider, isAbortError, listProviders, registerProvider, runProvider, runWithFallback } from './index';
+
+const inputs = {
+  userPhoto: 'data:image/png;base64,iVBORw0KGgo=',
+  dressPhoto: 'data:image/png;base64,iVBORw0KGgo='
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('lists only implemented providers', () => {
+  const ids = listProviders().map(provider => provider.id);
+  expect(ids).toEqual(expect.arrayContaining(['canvas', 'nanobanana', 'replicate']));
+  expect(ids).not.toContain('clarifai');
+});
+
+test('rejects adapters without generate or mapResult', () => {
+  expect(() => registerProvider({ id: 'broken' })).toThrow(/generate/);
+});
+
+test('reports missing credentials before generating', () => {
+  const provider = getProvider('nanobanana');
+  expect(checkProviderInputs(provider, inputs, {})).toBe('Please enter your API key for Nano Banana API');
+  expect(checkProviderInputs(provider, inputs, { apiKey: 'key' })).toBeNull();
+  expect(checkProviderInputs(provider, { userPhoto: inputs.userPhoto }, { apiKey: 'key' })).toMatch(/upload both/);
+});
+
+test('runs an adapter and maps its response', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ image_url: 'https://cdn.example.com/result.jpg' })
+  });
+
+  const result = await runProvider('nanobanana', inputs, { credentials: { apiKey: 'key' } });
+
+  expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer key');
+  expect(result).toEqual([{
+    id: 1,
+    url: 'https://cdn.example.com/result.jpg',
+    quality: 'AI Enhanced (Nano Banana)',
+    source: 'nanobanana'
+  }]);
+});
+
+test('runs custom validation declared by an adapter', async () => {
+  registerProvider({
+    id: 'test-engine',
+    name: 'Test Engine',
+    validate: () => 'Dress photo must be a full body shot',
+    generate: jest.fn(),
+    mapResult: raw => raw
+  });
+
+  await expect(runProvider('test-engine', inputs)).rejects.toThrow('Dress photo must be a full body shot');
+  expect(getProvider('test-engine').generate).not.toHaveBeenCalled();
+});
+
+test('sends proxied providers through the server without a browser key', async () => {
+  localStorage.setItem('token', 'session-token');
+  localStorage.setItem('user', JSON.stringify({ email: 'user@example.com' }));
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ images: [{ url: 'https://cdn.example.com/proxied.jpg', quality: 'AI Enhanced (Nano Banana)', source: 'nanobanana' }] })
+  });
+
+  const result = await runProvider('nanobanana', inputs, { useProxy: true });
+
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:5000/api/nanobanana');
+  expect(JSON.parse(options.body)).toEqual(inputs);
+  expect(options.headers.Authorization).toBe('Bearer session-token');
+  expect(result[0]).toEqual({ id: 1, url: 'https://cdn.example.com/proxied.jpg', quality: 'AI Enhanced (Nano Banana)', source: 'nanobanana' });
+  localStorage.clear();
+});
+
+test('returns every output of multi-output providers', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ output_urls: ['https://cdn.example.com/a.jpg', 'https://cdn.example.com/b.jpg'] })
+  });
+
+  const result = await runProvider('nanobanana', inputs, { credentials: { apiKey: 'key' } });
+
+  expect(result.map(image => [image.id, image.url])).toEqual([
+    [1, 'https://cdn.example.com/a.jpg'],
+    [2, 'https://cdn.example.com/b.jpg']
+  ]);
+});
+
+test('cancels a run through its signal', async () => {
+  registerProvider({
+    id: 'slow-engine',
+    name: 'Slow Engine',
+    generate: (_, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('stopped')));
+    }),
+    mapResult: raw => raw
+  });
+  const controller = new AbortController();
+
+  const running = runProvider('slow-engine', inputs, { signal: controller.signal });
+  controller.abort();
+
+  expect(isAbortError(await running.catch(error => error))).toBe(true);
+});
+
+test('gives up on adapters that exceed their timeout', async () => {
+  jest.useFakeTimers();
+  registerProvider({
+    id: 'stuck-engine',
+    name: 'Stuck Engine',
+    timeout: 5000,
+    generate: () => new Promise(() => {}),
+    mapResult: raw => raw
+  });
+
+  const running = runProvider('stuck-engine', inputs);
+  jest.advanceTimersByTime(5000);
+
+  await expect(running).rejects.toThrow('Stuck Engine did not respond within 5 seconds');
+  jest.useRealTimers();
+});
+
+test('puts the selected provider first in the fallback order', () => {
+  expect(fallbackOrder('nanobanana', ['canvas', 'nanobanana', 'replicate'])).toEqual(['nanobanana', 'canvas', 'replicate']);
+  expect(fallbackOrder('canvas', [])).toEqual(['canvas']);
+});
+
+test('falls back through the chain and records every attempt', async () => {
+  registerProvider({
+    id: 'flaky-engine',
+    name: 'Flaky Engine',
+    generate: jest.fn().mockRejectedValue(new Error('Rate limited')),
+    mapResult: raw => raw
+  });
+  registerProvider({
+    id: 'backup-engine',
+    name: 'Backup Engine',
+    generate: jest.fn().mockResolvedValue([{ id: 1, url: 'https://cdn.example.com/backup.jpg', source: 'backup-engine' }]),
+    mapResult: raw => raw
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const onProgress = jest.fn();
+
+  const { providerId, results } = await runWithFallback(['flaky-engine', 'nanobanana', 'backup-engine'], inputs, { onProgress });
+
+  expect(providerId).toBe('backup-engine');
+  expect(results[0].attempts).toEqual([
+    { providerId: 'flaky-engine', name: 'Flaky Engine', status: 'failed', error: 'Rate limited' },
+    { providerId: 'nanobanana', name: 'Nano Banana API', status: 'skipped', error: 'Please enter your API key for Nano Banana API' },
+    { providerId: 'backup-engine', name: 'Backup Engine', status: 'succeeded' }
+  ]);
+  expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ status: 'fallback', providerId: 'backup-engine' }));
+  console.error.mockRestore();
+});
+
+test('records the settings each result was made with', async () => {
+  registerProvider({
+    id: 'tunable-engine',
+    name: 'Tunable Engine',
+    credentials: [],
+    settings: [
+      { key: 'strength', defaultValue: 50 },
+      { key: 'steps', defaultValue: 20 }
+    ],
+    generate: jest.fn().mockResolvedValue([{ id: 1, url: 'https://cdn.example.com/tuned.jpg', source: 'tunable-engine' }]),
+    mapResult: raw => raw
+  });
+
+  const { results } = await runWithFallback(['tunable-engine'], inputs, { optionsFor: () => ({ settings: { strength: 80 } }) });
+
+  expect(results[0].settings).toEqual({ strength: 80, steps: 20 });
+});
+
+test('reports why every provider in the chain failed', async () => {
+  registerProvider({
+    id: 'broken-engine',
+    name: 'Broken Engine',
+    generate: jest.fn().mockRejectedValue(new Error('Server error')),
+    mapResult: raw => raw
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const error = await runWithFallback(['broken-engine', 'nanobanana'], inputs).catch(e => e);
+
+  expect(error.message).toBe('No engine could generate a result - Broken Engine failed: Server error; Nano Banana API skipped: Please enter your API key for Nano Banana API');
+  expect(error.attempts).toHaveLength(2);
+  console.error.mockRestore();
+});
+
+test('stops the chain when the run is cancelled', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  registerProvider({ id: 'spare-engine', name: 'Spare Engine', generate: jest.fn(), mapResult: raw => raw });
+
+  const error = await runWithFallback(['slow-engine', 'spare-engine'], inputs, { signal: controller.signal }).catch(e => e);
+
+  expect(isAbortError(error)).toBe(true);
+  expect(getProvider('spare-engine').generate).not.toHaveBeenCalled();
+});
@@ -0,0 +1,62 @@
+// nanobanana.js - Nano Banana virtual try-on provider
+import { getConfig } from '../config';
+import { dataUrlToBlob } from '../utils/image';
+import { providerFetch } from './http';
+
+// Endpoint and field names come from the `nanobanana` entry of the runtime config
+const endpoint = () => getConfig().providers.nanobanana;
+
+const nanoBananaProvider = {
+  id: 'nanobanana',
+  name: 'Nano Banana API',
+  description: 'Advanced virtual try-on',
+  tier: 'free',
+  inputMaxSize: 1024,
+  timeout: 2 * 60 * 1000,
+  credentials: [{ key: 'apiKey', label: 'API key' }],
+  proxyRoute: '/api/nanobanana',
+  // The try-on endpoint only accepts POST - any answer but 401/403 means it is reachable
+  testRequest: ({ apiKey }) => ({ url: endpoint().url, headers: { 'Authorization': `Bearer ${apiKey}` } }),
+
+  generate: async ({ userPhoto, dressPhoto }, { credentials, onProgress, signal }) => {
+    const { url, fields } = endpoint();
+    try {
+      const formData = new FormData();
+      formData.append(fields.personImage, dataUrlToBlob(userPhoto), 'user.jpg');
+      formData.append(fields.garmentImage, dataUrlToBlob(dressPhoto), 'dress.jpg');
+
+      const response = await providerFetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${credentials.apiKey}`,
+        },
+        body: formData
+      }, { signal, onProgress });
+
+      if (!response.ok) {
+        throw new Error(`Nano Banana API failed with status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      throw new Error(`Nano Banana API Error: ${error.message}`);
+    }
+  },
+
+  // Multi-output requests answer with output_urls, single ones with output_url
+  mapResult: (result) => {
+    const urls = [].concat(result.output_urls || result.output_url || result.image_url || []).filter(Boolean);
+    if (!urls.length) {
+      throw new Error('Nano Banana API Error: No output URL received from API');
+    }
+
+    return urls.map((url, index) => ({
+      id: index + 1,
+      url,
+      quality: 'AI Enhanced (Nano Banana)',
+      source: 'nanobanana'
+    }));
+  }
+};
+
+export default nanoBananaProvider;
@@ -0,0 +1,42 @@
+// proxy.js - Run a provider through the StitchPix server (see server/)
+//
+// The server holds the provider API keys, so no key leaves the browser.
+// It only runs providers for signed-in users, so the session token is sent
+// even when the server lives on another host than the auth backend.
+
+import { getConfig } from '../config';
+import { ApiError, apiFetch } from '../utils/apiClient';
+import { loggedFetch } from '../utils/debugHelper';
+import { fetchWithRetry, isAbortError, retryLog } from './http';
+
+export const proxyUrl = () => getConfig().proxyUrl;
+
+const withSession = (url, options) => apiFetch(url, { ...options, auth: true });
+
+export const generateViaProxy = async (provider, { userPhoto, dressPhoto }, { signal, onProgress } = {}) => {
+  let response;
+  try {
+    response = await fetchWithRetry(() => loggedFetch(`${proxyUrl()}${provider.proxyRoute}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userPhoto, dressPhoto }),
+      signal
+    }, withSession), {
+      signal,
+      onRetry: (retry) => onProgress?.({ status: 'retrying', progress: null, logs: [retryLog(retry)] })
+    });
+  } catch (error) {
+    if (error instanceof ApiError || isAbortError(error)) throw error;
+    throw new Error(`Could not reach the StitchPix server at ${proxyUrl()}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${provider.name} (via server) Error: ${data.error || `status ${response.status}`}`);
+  }
+  if (!data.images?.length) {
+    throw new Error(`${provider.name} (via server) Error: No images in server response`);
+  }
+
+  return data.images.map((image, index) => ({ id: index + 1, ...image }));
+};
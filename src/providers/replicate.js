@@ -0,0 +1,134 @@
+// replicate.js - Replicate virtual try-on provider
+//
+// Replicate runs models asynchronously: we create a prediction, then poll it
+// until it reaches a terminal status, reporting progress parsed from its logs.
+// A cancelled or timed out run also cancels the prediction on Replicate.
+import { providerConfig } from '../config';
+import { loggedFetch } from '../utils/debugHelper';
+import { providerFetch, sleep } from './http';
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
+const LOG_LINES_SHOWN = 3;
+
+// Model logs contain tqdm style bars such as " 45%|████▌     | 9/20"
+export const parseProgress = (logs = '') => {
+  const matches = [...logs.matchAll(/(\d{1,3})%\|/g)];
+  if (!matches.length) return null;
+  return Math.min(Number(matches[matches.length - 1][1]), 100) / 100;
+};
+
+const lastLogLines = (logs = '') => (
+  logs.split('\n').map(line => line.trim()).filter(Boolean).slice(-LOG_LINES_SHOWN)
+);
+
+// baseUrl, version and fields default to the `replicate` entry of the runtime config
+export const createReplicateProvider = ({
+  baseUrl,
+  version,
+  fields,
+  pollInterval = 1500
+} = {}) => {
+  const endpoint = () => providerConfig('replicate', { baseUrl, version, fields });
+
+  const request = async (url, apiKey, options = {}, ctx = {}) => {
+    const response = await providerFetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    }, ctx);
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Replicate API failed with status: ${response.status}${data.detail ? ` (${data.detail})` : ''}`);
+    }
+    return data;
+  };
+
+  return {
+    id: 'replicate',
+    name: 'Replicate API (Free Tier)',
+    description: 'Virtual try-on with credits',
+    tier: 'free',
+    // IDM-VTON works at 768x1024
+    inputMaxSize: 1024,
+    // Includes queueing and a cold start on Replicate's side
+    timeout: 5 * 60 * 1000,
+    credentials: [{ key: 'apiKey', label: 'API token' }],
+    testRequest: ({ apiKey }) => ({ url: `${endpoint().baseUrl}/account`, headers: { 'Authorization': `Bearer ${apiKey}` } }),
+
+    generate: async ({ userPhoto, dressPhoto }, { credentials, onProgress = () => {}, signal }) => {
+      const target = endpoint();
+      let prediction = null;
+      try {
+        prediction = await request(`${target.baseUrl}/predictions`, credentials.apiKey, {
+          method: 'POST',
+          body: JSON.stringify({
+            version: target.version,
+            input: {
+              [target.fields.personImage]: userPhoto,
+              [target.fields.garmentImage]: dressPhoto,
+              garment_des: 'dress'
+            }
+          })
+        }, { signal, onProgress });
+
+        const pollUrl = prediction.urls?.get || `${target.baseUrl}/predictions/${prediction.id}`;
+
+        while (!TERMINAL_STATUSES.includes(prediction.status)) {
+          onProgress({
+            status: prediction.status,
+            progress: parseProgress(prediction.logs),
+            logs: lastLogLines(prediction.logs)
+          });
+          await sleep(pollInterval, signal);
+          prediction = await request(pollUrl, credentials.apiKey, {}, { signal, onProgress });
+        }
+
+        onProgress({
+          status: prediction.status,
+          progress: prediction.status === 'succeeded' ? 1 : parseProgress(prediction.logs),
+          logs: lastLogLines(prediction.logs)
+        });
+
+        if (prediction.status === 'failed') {
+          throw new Error(`Prediction failed${prediction.error ? `: ${prediction.error}` : ''}`);
+        }
+        if (prediction.status === 'canceled') {
+          throw new Error('Prediction was cancelled');
+        }
+
+        return prediction;
+      } catch (error) {
+        // Stop the prediction so it doesn't keep using credits
+        if (signal?.aborted && prediction?.id && !TERMINAL_STATUSES.includes(prediction.status)) {
+          loggedFetch(`${target.baseUrl}/predictions/${prediction.id}/cancel`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${credentials.apiKey}` }
+          }).catch(() => {});
+        }
+        throw new Error(`Replicate API Error: ${error.message}`);
+      }
+    },
+
+    mapResult: (prediction) => {
+      const outputs = [].concat(prediction.output || []).filter(Boolean);
+      if (!outputs.length) {
+        throw new Error('Replicate API Error: No output received from prediction');
+      }
+
+      return outputs.map((url, index) => ({
+        id: index + 1,
+        url,
+        quality: 'AI Try-On (Replicate)',
+        source: 'replicate'
+      }));
+    }
+  };
+};
+
+const replicateProvider = createReplicateProvider();
+
+export default replicateProvider;
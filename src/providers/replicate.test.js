@@ -0,0 +1,117 @@
+import { waitFor } from '@testing-library/react';
+import { exchangeLog } from '../utils/debugHelper';
+import { createReplicateProvider, parseProgress } from './replicate';
+
+const BASE_URL = 'http://localhost:5001/v1';
+const inputs = {
+  userPhoto: 'data:image/png;base64,dXNlcg==',
+  dressPhoto: 'data:image/png;base64,ZHJlc3M='
+};
+
+// Minimal stand-in for the Replicate predictions endpoint: each GET advances
+// the prediction through the given list of states
+const mockPredictionsEndpoint = (states) => {
+  const requests = [];
+  let step = 0;
+
+  global.fetch = jest.fn(async (url, options = {}) => {
+    requests.push({ url, method: options.method || 'GET', body: options.body, headers: options.headers });
+
+    if (options.headers.Authorization !== 'Bearer r8_test') {
+      return { ok: false, status: 401, json: async () => ({ detail: 'Invalid token' }) };
+    }
+
+    if (url === `${BASE_URL}/predictions` && options.method === 'POST') {
+      return {
+        ok: true,
+        status: 201,
+        json: async () => ({ id: 'abc123', status: 'starting', logs: '', urls: { get: `${BASE_URL}/predictions/abc123` } })
+      };
+    }
+
+    if (url === `${BASE_URL}/predictions/abc123`) {
+      const state = states[Math.min(step++, states.length - 1)];
+      return { ok: true, status: 200, json: async () => ({ id: 'abc123', ...state }) };
+    }
+
+    return { ok: false, status: 404, json: async () => ({ detail: 'Not found' }) };
+  });
+
+  return requests;
+};
+
+const provider = createReplicateProvider({ baseUrl: BASE_URL, version: 'v1-test', pollInterval: 0 });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('parses the latest percentage from model logs', () => {
+  expect(parseProgress('loading\n 10%|█    | 2/20\n 45%|████▌ | 9/20')).toBe(0.45);
+  expect(parseProgress('no progress yet')).toBeNull();
+});
+
+test('creates a prediction, polls it and reports progress', async () => {
+  const requests = mockPredictionsEndpoint([
+    { status: 'processing', logs: 'Loading pipeline\n 50%|█████     | 10/20' },
+    { status: 'succeeded', logs: '100%|██████████| 20/20', output: ['https://replicate.delivery/out-0.png'] }
+  ]);
+  const onProgress = jest.fn();
+
+  const prediction = await provider.generate(inputs, { credentials: { apiKey: 'r8_test' }, onProgress });
+
+  expect(JSON.parse(requests[0].body)).toEqual({
+    version: 'v1-test',
+    input: { human_img: inputs.userPhoto, garm_img: inputs.dressPhoto, garment_des: 'dress' }
+  });
+  expect(requests.filter(request => request.method === 'GET')).toHaveLength(2);
+  expect(onProgress).toHaveBeenCalledWith({
+    status: 'processing',
+    progress: 0.5,
+    logs: ['Loading pipeline', '50%|█████     | 10/20']
+  });
+  expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'succeeded', progress: 1 }));
+  expect(provider.mapResult(prediction)).toEqual([{
+    id: 1,
+    url: 'https://replicate.delivery/out-0.png',
+    quality: 'AI Try-On (Replicate)',
+    source: 'replicate'
+  }]);
+});
+
+test('surfaces failed predictions', async () => {
+  mockPredictionsEndpoint([{ status: 'failed', error: 'CUDA out of memory', logs: '' }]);
+
+  await expect(provider.generate(inputs, { credentials: { apiKey: 'r8_test' } }))
+    .rejects.toThrow('Replicate API Error: Prediction failed: CUDA out of memory');
+});
+
+test('stops polling when the prediction is cancelled', async () => {
+  mockPredictionsEndpoint([{ status: 'canceled', logs: '' }]);
+
+  await expect(provider.generate(inputs, { credentials: { apiKey: 'r8_test' } }))
+    .rejects.toThrow('Prediction was cancelled');
+});
+
+test('cancels the prediction on Replicate when the run is aborted', async () => {
+  const requests = mockPredictionsEndpoint([{ status: 'processing', logs: '' }]);
+  const controller = new AbortController();
+  exchangeLog.clear();
+
+  await expect(provider.generate(inputs, {
+    credentials: { apiKey: 'r8_test' },
+    signal: controller.signal,
+    onProgress: () => controller.abort()
+  })).rejects.toThrow('Replicate API Error');
+
+  expect(requests[requests.length - 1]).toMatchObject({ url: `${BASE_URL}/predictions/abc123/cancel`, method: 'POST' });
+  // Like every other provider call, the cancel request shows up in diagnostics
+  await waitFor(() => expect(exchangeLog.entries().map(entry => entry.request.url)).toContain(`${BASE_URL}/predictions/abc123/cancel`));
+});
+
+test('reports API errors with their detail', async () => {
+  mockPredictionsEndpoint([]);
+
+  await expect(provider.generate(inputs, { credentials: { apiKey: 'wrong' } }))
+    .rejects.toThrow('Replicate API failed with status: 401 (Invalid token)');
+});
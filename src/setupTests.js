@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom doesn't provide the encoding API (used by the ZIP and metadata writers and the key vault)
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
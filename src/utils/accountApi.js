@@ -0,0 +1,26 @@
+// accountApi.js - Password reset and email verification against the auth backend
+//
+// The backend emails a link with a one-time token; the app opens it at
+// /reset-password?token=... or /verify-email?token=... and posts the token back.
+// Paths come from the `auth` section of the runtime config.
+import { getConfig } from '../config';
+import { apiRequest } from './apiClient';
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const post = (pathKey, body) => apiRequest(getConfig().auth[pathKey], { method: 'POST', auth: false, body });
+
+// Always succeeds for unknown emails too, so it can't be used to probe for accounts
+export const requestPasswordReset = (email) => post('forgotPasswordPath', { email });
+
+export const resetPassword = (token, password) => post('resetPasswordPath', { token, password });
+
+export const verifyEmail = (token) => post('verifyEmailPath', { token });
+
+export const resendVerification = (email) => post('resendVerificationPath', { email });
+
+// Signup answers without a session (or with an unverified user) until the email is confirmed
+export const needsVerification = (data) => Boolean(data.verificationRequired || !data.token || data.user?.emailVerified === false);
+
+// Login is refused with 403 EMAIL_NOT_VERIFIED for accounts that never confirmed their email
+export const isUnverifiedError = (error) => error?.status === 403 && error.data?.code === 'EMAIL_NOT_VERIFIED';
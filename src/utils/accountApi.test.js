@@ -0,0 +1,43 @@
+import { isUnverifiedError, isValidEmail, needsVerification, requestPasswordReset, resendVerification, resetPassword, verifyEmail } from './accountApi';
+import { ApiError, apiUrl } from './apiClient';
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('posts to the password reset and verification endpoints without a session', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, { message: 'ok' }));
+
+  await requestPasswordReset('ana@example.com');
+  await resetPassword('reset-token', 'Tailored7Fit');
+  await verifyEmail('verify-token');
+  await resendVerification('ana@example.com');
+
+  expect(global.fetch.mock.calls.map(([url, options]) => [url, JSON.parse(options.body)])).toEqual([
+    [`${apiUrl()}/api/auth/forgot-password`, { email: 'ana@example.com' }],
+    [`${apiUrl()}/api/auth/reset-password`, { token: 'reset-token', password: 'Tailored7Fit' }],
+    [`${apiUrl()}/api/auth/verify-email`, { token: 'verify-token' }],
+    [`${apiUrl()}/api/auth/resend-verification`, { email: 'ana@example.com' }]
+  ]);
+  global.fetch.mock.calls.forEach(([, options]) => expect(options.headers.Authorization).toBeUndefined());
+});
+
+test('reports expired reset tokens with the server message', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(410, { message: 'This reset link has expired' }));
+  await expect(resetPassword('old-token', 'Tailored7Fit')).rejects.toThrow('This reset link has expired');
+});
+
+test('detects signups and logins waiting for email verification', () => {
+  expect(needsVerification({ token: 'jwt', user: { email: 'a@b.co' } })).toBe(false);
+  expect(needsVerification({ user: { email: 'a@b.co' } })).toBe(true);
+  expect(needsVerification({ token: 'jwt', user: { emailVerified: false } })).toBe(true);
+  expect(isUnverifiedError(new ApiError('Verify your email', 403, { code: 'EMAIL_NOT_VERIFIED' }))).toBe(true);
+  expect(isUnverifiedError(new ApiError('Forbidden', 403))).toBe(false);
+});
+
+test('validates email addresses', () => {
+  expect(isValidEmail('ana@example.com')).toBe(true);
+  expect(isValidEmail('ana@example')).toBe(false);
+});
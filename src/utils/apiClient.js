@@ -0,0 +1,203 @@
+// apiClient.js - fetch wrapper for the StitchPix backend
+//
+// Attaches the stored JWT as a Bearer token to backend requests, refreshes it
+// shortly before it expires, and reports a dead session (expired token or a 401 response) to the
+// handler registered with onUnauthorized so the app can send the user back to
+// the login page.
+import { getConfig } from '../config';
+
+// Backend base URL from the runtime config (see config.js)
+export const apiUrl = () => getConfig().apiUrl;
+
+const TOKEN_KEY = 'token';
+const USER_KEY = 'user';
+// Refresh this long before the token actually expires
+const EXPIRY_MARGIN = 60 * 1000;
+
+export const SESSION_EXPIRED_MESSAGE = 'Your session has expired. Please log in again.';
+
+export class ApiError extends Error {
+  constructor(message, status, data = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// JWT payload, or null when the token isn't a readable JWT
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Expiry time in ms, or null for tokens without an `exp` claim
+export const getTokenExpiry = (token) => {
+  const exp = decodeToken(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : null;
+};
+
+export const isTokenExpired = (token, margin = 0) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - margin <= Date.now();
+};
+
+export const getStoredSession = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  try {
+    const user = JSON.parse(localStorage.getItem(USER_KEY));
+    return token && user ? { token, user } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSession = (token, user) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (user) {
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+let unauthorizedHandler = null;
+
+// Register the app-wide handler for dead sessions; returns an unsubscribe function
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+};
+
+const endSession = (message) => {
+  clearSession();
+  unauthorizedHandler?.(message);
+  return new ApiError(message, 401);
+};
+
+let refreshPromise = null;
+
+// Swap the stored token for a fresh one; resolves with the new token or null
+export const refreshToken = () => {
+  const session = getStoredSession();
+  if (!session) return Promise.resolve(null);
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${apiUrl()}${getConfig().auth.refreshPath}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.token}` }
+    })
+      .then(async response => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.token) return null;
+        saveSession(data.token, data.user);
+        return data.token;
+      })
+      .catch(() => null)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// A token that is good for at least EXPIRY_MARGIN, refreshing it if needed, or null
+export const getValidToken = async () => {
+  const session = getStoredSession();
+  if (!session) return null;
+  if (!isTokenExpired(session.token, EXPIRY_MARGIN)) return session.token;
+  const refreshed = await refreshToken();
+  if (refreshed) return refreshed;
+  return isTokenExpired(session.token) ? null : session.token;
+};
+
+const resolveUrl = (path) => (/^https?:\/\//.test(path) ? path : `${apiUrl()}${path}`);
+
+// Whether a resolved URL is on the auth backend (its base URL or below it)
+export const isApiUrl = (url) => {
+  const base = apiUrl().replace(/\/+$/, '');
+  return url === base || url.startsWith(`${base}/`);
+};
+
+// Like fetch, but authenticated. Pass `auth: false` for login/signup.
+// Absolute URLs on other servers only get the token with an explicit `auth: true`.
+// Throws ApiError(401) and ends the session when the token is expired or rejected.
+export const apiFetch = async (path, { auth, headers = {}, ...options } = {}) => {
+  const url = resolveUrl(path);
+  const withToken = auth ?? isApiUrl(url);
+  const requestHeaders = { ...headers };
+
+  if (withToken) {
+    const token = await getValidToken();
+    if (!token) throw endSession(SESSION_EXPIRED_MESSAGE);
+    requestHeaders.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(url, { ...options, headers: requestHeaders });
+
+  if (withToken && response.status === 401) {
+    throw endSession(SESSION_EXPIRED_MESSAGE);
+  }
+  return response;
+};
+
+// JSON request to the backend; throws ApiError with the server's message on failure
+export const apiRequest = async (path, { body, ...options } = {}) => {
+  const response = await apiFetch(path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ApiError(data.message || data.error || `Request failed with status ${response.status}`, response.status, data);
+  }
+  return data;
+};
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+// Keep the stored token fresh in the background and end the session once it
+// can no longer be refreshed. Returns a function that stops watching.
+export const watchSessionExpiry = () => {
+  let timer = null;
+  let stopped = false;
+
+  const schedule = () => {
+    const session = getStoredSession();
+    const expiry = session && getTokenExpiry(session.token);
+    if (!expiry || stopped) return;
+
+    // Wake up in time to refresh, or at the real expiry when refreshing already failed
+    const untilRefresh = expiry - EXPIRY_MARGIN - Date.now();
+    const delay = untilRefresh > 0 ? untilRefresh : Math.max(expiry - Date.now(), 0);
+    timer = setTimeout(check, Math.min(delay, MAX_TIMER_DELAY));
+  };
+
+  const check = async () => {
+    const token = await getValidToken();
+    if (stopped) return;
+    if (!token) {
+      endSession(SESSION_EXPIRED_MESSAGE);
+      return;
+    }
+    schedule();
+  };
+
+  schedule();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
@@ -0,0 +1,128 @@
+import {
+  apiUrl,
+  ApiError,
+  SESSION_EXPIRED_MESSAGE,
+  apiFetch,
+  apiRequest,
+  decodeToken,
+  getTokenExpiry,
+  isApiUrl,
+  isTokenExpired,
+  onUnauthorized
+} from './apiClient';
+
+const toBase64Url = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const makeToken = (payload) => `${toBase64Url({ alg: 'HS256', typ: 'JWT' })}.${toBase64Url(payload)}.signature`;
+
+const inSeconds = (seconds) => Math.floor(Date.now() / 1000) + seconds;
+
+const signIn = (token) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('user', JSON.stringify({ name: 'Test User', email: 'user@example.com' }));
+};
+
+const jsonResponse = (status, data) => ({ ok: status >= 200 && status < 300, status, json: async () => data });
+
+let unsubscribe;
+let unauthorized;
+
+beforeEach(() => {
+  localStorage.clear();
+  unauthorized = jest.fn();
+  unsubscribe = onUnauthorized(unauthorized);
+});
+
+afterEach(() => {
+  unsubscribe();
+});
+
+test('reads the expiry from a JWT', () => {
+  const exp = inSeconds(3600);
+  const token = makeToken({ sub: '42', exp });
+
+  expect(decodeToken(token)).toEqual({ sub: '42', exp });
+  expect(getTokenExpiry(token)).toBe(exp * 1000);
+  expect(isTokenExpired(token)).toBe(false);
+  expect(isTokenExpired(makeToken({ exp: inSeconds(-10) }))).toBe(true);
+  expect(decodeToken('not-a-jwt')).toBeNull();
+  expect(isTokenExpired('not-a-jwt')).toBe(false);
+});
+
+test('attaches the stored token as a Bearer header', async () => {
+  const token = makeToken({ exp: inSeconds(3600) });
+  signIn(token);
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, { ok: true }));
+
+  await apiRequest('/api/me');
+
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe(`${apiUrl()}/api/me`);
+  expect(options.headers.Authorization).toBe(`Bearer ${token}`);
+});
+
+test('only sends the token to other servers when asked to', async () => {
+  const token = makeToken({ exp: inSeconds(3600) });
+  signIn(token);
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, {}));
+
+  await apiRequest(`${apiUrl()}/api/me`);
+  await apiRequest('http://localhost:5000/api/shares');
+  await apiRequest(`${apiUrl()}.evil.example/api/me`);
+  await apiRequest('http://localhost:5000/api/import-image', { auth: true });
+
+  expect(global.fetch.mock.calls.map(([, options]) => options.headers.Authorization)).toEqual([
+    `Bearer ${token}`,
+    undefined,
+    undefined,
+    `Bearer ${token}`
+  ]);
+  expect(isApiUrl(apiUrl())).toBe(true);
+});
+
+test('skips the token for unauthenticated requests and surfaces server errors', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(401, { message: 'Invalid email or password' }));
+
+  await expect(apiRequest('/api/auth/login', { method: 'POST', auth: false, body: { email: 'a@b.co' } }))
+    .rejects.toThrow('Invalid email or password');
+
+  expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  expect(unauthorized).not.toHaveBeenCalled();
+});
+
+test('ends the session when the server rejects the token', async () => {
+  signIn(makeToken({ exp: inSeconds(3600) }));
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(401, { message: 'jwt malformed' }));
+
+  const error = await apiFetch('/api/me').catch(e => e);
+
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error.status).toBe(401);
+  expect(unauthorized).toHaveBeenCalledWith(SESSION_EXPIRED_MESSAGE);
+  expect(localStorage.getItem('token')).toBeNull();
+});
+
+test('refreshes a token that is about to expire before sending the request', async () => {
+  const fresh = makeToken({ exp: inSeconds(3600) });
+  signIn(makeToken({ exp: inSeconds(30) }));
+  global.fetch = jest.fn(async (url) => (
+    url.endsWith('/api/auth/refresh') ? jsonResponse(200, { token: fresh }) : jsonResponse(200, {})
+  ));
+
+  await apiRequest('/api/me');
+
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe(`Bearer ${fresh}`);
+  expect(localStorage.getItem('token')).toBe(fresh);
+});
+
+test('logs out when an expired token cannot be refreshed', async () => {
+  signIn(makeToken({ exp: inSeconds(-60) }));
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(404, {}));
+
+  await expect(apiFetch('/api/me')).rejects.toThrow(SESSION_EXPIRED_MESSAGE);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(unauthorized).toHaveBeenCalledWith(SESSION_EXPIRED_MESSAGE);
+  expect(localStorage.getItem('user')).toBeNull();
+});
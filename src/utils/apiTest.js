@@ -0,0 +1,141 @@
+// apiTest.js - Standalone API testing
+import { getConfig } from '../config';
+import { canUseProxy, getMissingCredentials } from '../providers';
+import { proxyUrl } from '../providers/proxy';
+import { networkTester } from './debugHelper';
+
+const isRejected = (status) => status === 401 || status === 403;
+
+export class APITester {
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  // Cheap authenticated request against a provider (see `testRequest` in
+  // providers/index.js), or the server's health check when it is proxied.
+  // Resolves with { ok, message, status, latency, cors }.
+  static async testConnection(provider, { credentials = {}, useProxy } = {}) {
+    if (useProxy && canUseProxy(provider)) {
+      const startTime = Date.now();
+      let response;
+      try {
+        response = await fetch(`${proxyUrl()}/api/health`);
+      } catch (error) {
+        return { ok: false, message: `Could not reach the StitchPix server at ${proxyUrl()}` };
+      }
+      const health = await response.json().catch(() => ({}));
+      const hasKey = Boolean(health.providers?.[provider.id]);
+      return {
+        ok: hasKey,
+        message: hasKey ? 'The server has an API key for this engine' : 'The server has no API key configured for this engine',
+        status: response.status,
+        latency: Date.now() - startTime
+      };
+    }
+
+    if (!provider.testRequest) {
+      return { ok: true, message: 'Runs in your browser - no connection needed' };
+    }
+    if (getMissingCredentials(provider, credentials).length) {
+      return { ok: false, message: 'Enter your API key first' };
+    }
+
+    const { url, headers } = provider.testRequest(credentials);
+    const result = await networkTester.testEndpoint(url, 'GET', headers);
+    if (result.error) {
+      return { ok: false, message: `Could not reach ${new URL(url).host} - offline or blocked by CORS`, cors: result.cors };
+    }
+
+    const ok = !isRejected(result.status) && result.status < 500;
+    return {
+      ok,
+      message: isRejected(result.status)
+        ? 'The API key was rejected'
+        : ok ? 'Connected' : `The engine answered with status ${result.status}`,
+      status: result.status,
+      latency: result.latency,
+      cors: result.cors
+    };
+  }
+
+  // Same endpoint and field names as the Nano Banana engine (see config.js)
+  async testNanoBanana(userImageFile, dressImageFile) {
+    const { url, fields } = getConfig().providers.nanobanana;
+    const formData = new FormData();
+    formData.append(fields.personImage, userImageFile);
+    formData.append(fields.garmentImage, dressImageFile);
+    formData.append('return_type', 'image');
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+        },
+        body: formData
+      });
+
+      const result = {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries([...response.headers]),
+        ok: response.ok
+      };
+
+      if (response.ok) {
+        result.data = await response.json();
+      } else {
+        result.error = await response.text();
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        error: error.message,
+        stack: error.stack
+      };
+    }
+  }
+
+  // Endpoint from the `deepai` entry of the runtime config
+  async testDeepAI(imageFile) {
+    const formData = new FormData();
+    formData.append('image', imageFile);
+
+    try {
+      const response = await fetch(getConfig().providers.deepai.url, {
+        method: 'POST',
+        headers: {
+          'api-key': this.apiKey
+        },
+        body: formData
+      });
+
+      const result = {
+        status: response.status,
+        statusText: response.statusText,
+        ok: response.ok
+      };
+
+      if (response.ok) {
+        result.data = await response.json();
+      } else {
+        result.error = await response.text();
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        error: error.message,
+        stack: error.stack
+      };
+    }
+  }
+}
+
+// Usage example for browser console:
+/*
+const tester = new APITester('your-api-key');
+const userFile = document.querySelector('input[type="file"]').files[0];
+tester.testNanoBanana(userFile, userFile).then(console.log);
+*/
\ No newline at end of file
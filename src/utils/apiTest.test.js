@@ -0,0 +1,65 @@
+import { setConfig } from '../config';
+import { getProvider } from '../providers';
+import { APITester } from './apiTest';
+
+afterEach(() => {
+  setConfig({});
+  delete global.fetch;
+});
+
+const respond = (status, body = {}) => jest.fn().mockResolvedValue({
+  status,
+  statusText: '',
+  type: 'cors',
+  headers: new Headers(),
+  json: async () => body
+});
+
+test('needs no connection for local engines', async () => {
+  expect(await APITester.testConnection(getProvider('canvas'))).toEqual({ ok: true, message: 'Runs in your browser - no connection needed' });
+});
+
+test('asks for a key before testing an engine', async () => {
+  global.fetch = jest.fn();
+  expect((await APITester.testConnection(getProvider('replicate'))).message).toBe('Enter your API key first');
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('reports accepted and rejected keys', async () => {
+  global.fetch = respond(200);
+  const connected = await APITester.testConnection(getProvider('replicate'), { credentials: { apiKey: 'good' } });
+  expect(connected).toEqual(expect.objectContaining({ ok: true, message: 'Connected', status: 200, cors: 'Enabled' }));
+  expect(global.fetch).toHaveBeenCalledWith('https://api.replicate.com/v1/account', {
+    method: 'GET',
+    headers: { 'Authorization': 'Bearer good' }
+  });
+
+  global.fetch = respond(401);
+  const rejected = await APITester.testConnection(getProvider('replicate'), { credentials: { apiKey: 'bad' } });
+  expect(rejected).toEqual(expect.objectContaining({ ok: false, message: 'The API key was rejected' }));
+});
+
+test('reports unreachable engines', async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  const result = await APITester.testConnection(getProvider('replicate'), { credentials: { apiKey: 'key' } });
+  expect(result).toEqual({ ok: false, message: 'Could not reach api.replicate.com - offline or blocked by CORS', cors: 'Blocked (CORS)' });
+});
+
+test('checks the server key for proxied engines', async () => {
+  global.fetch = respond(200, { status: 'ok', providers: { nanobanana: false } });
+  const result = await APITester.testConnection(getProvider('nanobanana'), { useProxy: true });
+  expect(result).toEqual(expect.objectContaining({ ok: false, message: 'The server has no API key configured for this engine' }));
+  expect(global.fetch).toHaveBeenCalledWith('http://localhost:5000/api/health');
+});
+
+test('sends the DeepAI test to the configured endpoint', async () => {
+  setConfig({ providers: { deepai: { url: 'http://localhost:4010/upscale' } } });
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, statusText: 'OK', json: async () => ({ output_url: 'https://cdn.example.com/big.png' }) });
+
+  const result = await new APITester('deepai-key').testDeepAI(new File(['image'], 'photo.png', { type: 'image/png' }));
+
+  expect(result).toEqual({ status: 200, statusText: 'OK', ok: true, data: { output_url: 'https://cdn.example.com/big.png' } });
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:4010/upscale');
+  expect(options.headers).toEqual({ 'api-key': 'deepai-key' });
+});
@@ -0,0 +1,264 @@
+// debugHelper.js - Debug utilities for StitchPixAI
+//
+// Besides the console helpers, provider calls made during real generations go
+// through loggedFetch, which keeps a short rolling log of redacted
+// request/response pairs for the diagnostics page and support bundles.
+
+const MAX_LOG_ENTRIES = 50;
+const MAX_TEXT_LENGTH = 2000;
+const REDACTED = 'REDACTED';
+// Header, field and query parameter names whose values are never logged
+const SECRET_NAME = /auth|key|token|secret|password|cookie/i;
+
+export class APIDebugger {
+  static logAPIRequest(url, method, headers, body) {
+    console.group('🔧 API Request Debug');
+    console.log('URL:', url);
+    console.log('Method:', method);
+    console.log('Headers:', headers);
+    console.log('Body:', body);
+    console.groupEnd();
+  }
+
+  static logAPIResponse(response) {
+    console.group('🔧 API Response Debug');
+    console.log('Status:', response.status);
+    console.log('Status Text:', response.statusText);
+    console.log('Headers:', Object.fromEntries([...response.headers]));
+    console.groupEnd();
+  }
+
+  static validateImageData(dataURL) {
+    if (!dataURL) {
+      return { valid: false, error: 'No data URL provided' };
+    }
+    
+    try {
+      const parts = dataURL.split(',');
+      if (parts.length !== 2) {
+        return { valid: false, error: 'Invalid data URL format' };
+      }
+      
+      const mimeMatch = parts[0].match(/:(.*?);/);
+      if (!mimeMatch) {
+        return { valid: false, error: 'Invalid MIME type' };
+      }
+      
+      const mimeType = mimeMatch[1];
+      if (!mimeType.startsWith('image/')) {
+        return { valid: false, error: 'Not an image MIME type' };
+      }
+      
+      // Check base64 data length
+      const base64Data = parts[1];
+      const fileSize = (base64Data.length * 3) / 4 - (base64Data.endsWith('==') ? 2 : base64Data.endsWith('=') ? 1 : 0);
+      
+      return { 
+        valid: true, 
+        mimeType, 
+        fileSize: Math.round(fileSize / 1024) + ' KB'
+      };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  static testCanvasMerge(userPhoto, dressPhoto) {
+    return new Promise((resolve) => {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      
+      const userImg = new Image();
+      const dressImg = new Image();
+      
+      userImg.onload = () => {
+        dressImg.onload = () => {
+          canvas.width = 100;
+          canvas.height = 100;
+          ctx.fillStyle = 'green';
+          ctx.fillRect(0, 0, 100, 100);
+          
+          resolve({
+            success: true,
+            message: 'Canvas test passed',
+            testImage: canvas.toDataURL()
+          });
+        };
+        dressImg.src = dressPhoto;
+      };
+      userImg.src = userPhoto;
+    });
+  }
+}
+
+// Network debugging utility
+export const networkTester = {
+  async testEndpoint(url, method = 'GET', headers = {}) {
+    try {
+      const startTime = Date.now();
+      const response = await fetch(url, { method, headers });
+      const endTime = Date.now();
+      
+      return {
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        latency: endTime - startTime,
+        responseTime: endTime - startTime + 'ms',
+        cors: response.type === 'cors' ? 'Enabled' : response.type === 'basic' ? 'Same origin' : 'Disabled/Blocked',
+        headers: Object.fromEntries([...response.headers])
+      };
+    } catch (error) {
+      return {
+        url,
+        error: error.message,
+        cors: 'Blocked (CORS)'
+      };
+    }
+  }
+};
+
+const formatKB = (bytes) => Math.round(bytes / 1024) + ' KB';
+
+const truncate = (text) => (text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}... (${text.length} characters)` : text);
+
+// Image data URLs are replaced by their type and size
+const redactValue = (value, name = '') => {
+  if (SECRET_NAME.test(name)) return REDACTED;
+  if (typeof value === 'string') {
+    if (value.startsWith('data:')) {
+      const image = APIDebugger.validateImageData(value);
+      return image.valid ? `[${image.mimeType} data URL, ${image.fileSize}]` : `[invalid data URL: ${image.error}]`;
+    }
+    return truncate(value);
+  }
+  if (Array.isArray(value)) return value.map(item => redactValue(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, key)]));
+  }
+  return value;
+};
+
+export const redactHeaders = (headers = {}) => {
+  const entries = typeof headers.entries === 'function' ? [...headers.entries()] : Object.entries(headers);
+  return Object.fromEntries(entries.map(([name, value]) => [name, SECRET_NAME.test(name) ? REDACTED : value]));
+};
+
+export const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    [...parsed.searchParams.keys()].filter(name => SECRET_NAME.test(name)).forEach(name => parsed.searchParams.set(name, REDACTED));
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+export const redactBody = (body) => {
+  if (body == null) return null;
+  if (typeof body === 'string') {
+    try {
+      return redactValue(JSON.parse(body));
+    } catch (error) {
+      return truncate(body);
+    }
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return Object.fromEntries([...body.entries()].map(([name, value]) => [
+      name,
+      typeof value === 'string' ? redactValue(value, name) : `[${value.type || 'file'}, ${formatKB(value.size)}]`
+    ]));
+  }
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return `[${body.type || 'blob'}, ${formatKB(body.size)}]`;
+  return '[unreadable body]';
+};
+
+// Text and JSON bodies are kept (redacted and truncated), images only by type and size
+const readResponseBody = async (response) => {
+  const contentType = response.headers?.get('content-type') || '';
+  if (!/json|text/.test(contentType) || !response.clone) {
+    const length = response.headers?.get('content-length');
+    return contentType ? `[${contentType}${length ? `, ${formatKB(Number(length))}` : ''}]` : null;
+  }
+  try {
+    return redactBody(await response.clone().text());
+  } catch (error) {
+    return '[unreadable body]';
+  }
+};
+
+let nextExchangeId = 1;
+let exchanges = [];
+const listeners = new Set();
+
+// Rolling log of { id, time, duration, request, response, error }, newest last
+export const exchangeLog = {
+  entries: () => exchanges,
+
+  record(exchange) {
+    exchanges = [...exchanges, { id: nextExchangeId++, ...exchange }].slice(-MAX_LOG_ENTRIES);
+    listeners.forEach(listener => listener(exchanges));
+  },
+
+  clear() {
+    exchanges = [];
+    listeners.forEach(listener => listener(exchanges));
+  },
+
+  // Returns an unsubscribe function
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+// fetch() that records the exchange in exchangeLog; `fetchImpl` lets callers
+// log requests made through another client (e.g. apiFetch)
+export const loggedFetch = async (url, options = {}, fetchImpl = fetch) => {
+  const time = new Date().toISOString();
+  const startTime = Date.now();
+  const request = {
+    method: options.method || 'GET',
+    url: redactUrl(url),
+    headers: redactHeaders(options.headers),
+    body: redactBody(options.body)
+  };
+
+  try {
+    const response = await fetchImpl(url, options);
+    exchangeLog.record({
+      time,
+      duration: Date.now() - startTime,
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers?.entries ? redactHeaders(response.headers) : {},
+        body: await readResponseBody(response)
+      }
+    });
+    return response;
+  } catch (error) {
+    exchangeLog.record({ time, duration: Date.now() - startTime, request, response: null, error: error.message });
+    throw error;
+  }
+};
+
+// Everything support needs in one JSON document; `sections` are the
+// diagnostics page results (connection tests, endpoint checks, images)
+export const createSupportBundle = (sections = {}) => ({
+  generatedAt: new Date().toISOString(),
+  userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+  location: typeof window !== 'undefined' ? window.location.origin : null,
+  ...sections,
+  requestLog: exchangeLog.entries()
+});
+
+// Export for global access in browser console
+if (typeof window !== 'undefined') {
+  window.StitchPixDebug = {
+    APIDebugger,
+    networkTester,
+    exchangeLog
+  };
+}
\ No newline at end of file
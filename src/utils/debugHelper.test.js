@@ -0,0 +1,81 @@
+import { APIDebugger, createSupportBundle, exchangeLog, loggedFetch, redactBody, redactHeaders, redactUrl } from './debugHelper';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
+
+afterEach(() => {
+  exchangeLog.clear();
+});
+
+test('validates image data URLs', () => {
+  expect(APIDebugger.validateImageData(PNG)).toEqual({ valid: true, mimeType: 'image/png', fileSize: '0 KB' });
+  expect(APIDebugger.validateImageData('data:text/plain;base64,aGk=')).toEqual({ valid: false, error: 'Not an image MIME type' });
+  expect(APIDebugger.validateImageData(null).valid).toBe(false);
+});
+
+test('redacts secrets from headers, URLs and bodies', () => {
+  expect(redactHeaders({ Authorization: 'Bearer secret', 'Content-Type': 'application/json', 'api-key': 'secret' }))
+    .toEqual({ Authorization: 'REDACTED', 'Content-Type': 'application/json', 'api-key': 'REDACTED' });
+  expect(redactUrl('https://api.example.com/run?model=a&access_token=secret')).toBe('https://api.example.com/run?model=a&access_token=REDACTED');
+  expect(redactBody(JSON.stringify({ input: { person_image: PNG, steps: 30 }, apiKey: 'secret' }))).toEqual({
+    input: { person_image: '[image/png data URL, 0 KB]', steps: 30 },
+    apiKey: 'REDACTED'
+  });
+});
+
+test('summarizes files in form data', () => {
+  const formData = new FormData();
+  formData.append('person_image', new Blob([new Uint8Array(2048)], { type: 'image/jpeg' }), 'user.jpg');
+  formData.append('return_type', 'image');
+
+  expect(redactBody(formData)).toEqual({ person_image: '[image/jpeg, 2 KB]', return_type: 'image' });
+});
+
+test('records redacted exchanges from real requests', async () => {
+  const response = {
+    status: 401,
+    statusText: 'Unauthorized',
+    headers: new Headers({ 'content-type': 'application/json' }),
+    clone: () => ({ text: async () => JSON.stringify({ detail: 'Invalid token' }) })
+  };
+  const fetchImpl = jest.fn().mockResolvedValue(response);
+  const listener = jest.fn();
+  const unsubscribe = exchangeLog.subscribe(listener);
+
+  expect(await loggedFetch('https://api.example.com/predictions', {
+    method: 'POST',
+    headers: { Authorization: 'Bearer secret' },
+    body: JSON.stringify({ image: PNG })
+  }, fetchImpl)).toBe(response);
+
+  const [entry] = exchangeLog.entries();
+  expect(entry.request).toEqual({
+    method: 'POST',
+    url: 'https://api.example.com/predictions',
+    headers: { Authorization: 'REDACTED' },
+    body: { image: '[image/png data URL, 0 KB]' }
+  });
+  expect(entry.response).toEqual({ status: 401, statusText: 'Unauthorized', headers: { 'content-type': 'application/json' }, body: { detail: 'Invalid token' } });
+  expect(listener).toHaveBeenCalledTimes(1);
+  unsubscribe();
+});
+
+test('records failed requests and keeps only the latest entries', async () => {
+  const fetchImpl = jest.fn().mockRejectedValue(new Error('Failed to fetch'));
+  for (let i = 0; i < 55; i++) {
+    await loggedFetch(`https://api.example.com/${i}`, {}, fetchImpl).catch(() => {});
+  }
+
+  const entries = exchangeLog.entries();
+  expect(entries).toHaveLength(50);
+  expect(entries[49]).toEqual(expect.objectContaining({ response: null, error: 'Failed to fetch' }));
+  expect(entries[0].request.url).toBe('https://api.example.com/5');
+});
+
+test('bundles diagnostics with the request log', async () => {
+  await loggedFetch('https://api.example.com/ping', {}, jest.fn().mockResolvedValue({ status: 200, statusText: 'OK' }));
+
+  const bundle = createSupportBundle({ useProxy: false, images: [] });
+
+  expect(bundle).toEqual(expect.objectContaining({ useProxy: false, images: [], generatedAt: expect.any(String) }));
+  expect(bundle.requestLog).toHaveLength(1);
+});
@@ -0,0 +1,59 @@
+// exif.js - Read the EXIF orientation tag from JPEG bytes
+//
+// Orientation values (1-8) follow the EXIF spec: 1 is upright, 3 is upside
+// down, 6 and 8 are rotated 90° clockwise / counter-clockwise, and 2, 4, 5, 7
+// are their mirrored versions.
+
+const ORIENTATION_TAG = 0x0112;
+
+export const readJpegOrientation = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+
+    // APP1 segment holding "Exif\0\0" followed by a TIFF header
+    if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+      return readTiffOrientation(view, offset + 10);
+    }
+    // Start of scan - no metadata after this point
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) break;
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+const readTiffOrientation = (view, tiffStart) => {
+  if (tiffStart + 8 > view.byteLength) return 1;
+  const littleEndian = view.getUint16(tiffStart) === 0x4949;
+  const ifdStart = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+  if (ifdStart + 2 > view.byteLength) return 1;
+
+  const entries = view.getUint16(ifdStart, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+      const value = view.getUint16(entry + 8, littleEndian);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+};
+
+// Orientations 5-8 swap width and height
+export const isQuarterTurn = (orientation) => orientation >= 5;
+
+// Canvas transform that draws a raw w x h image upright
+export const orientationTransform = (orientation, width, height) => ({
+  2: [-1, 0, 0, 1, width, 0],
+  3: [-1, 0, 0, -1, width, height],
+  4: [1, 0, 0, -1, 0, height],
+  5: [0, 1, 1, 0, 0, 0],
+  6: [0, 1, -1, 0, height, 0],
+  7: [0, -1, -1, 0, height, width],
+  8: [0, -1, 1, 0, 0, width]
+}[orientation] || [1, 0, 0, 1, 0, 0]);
@@ -0,0 +1,37 @@
+import { orientationTransform, readJpegOrientation } from './exif';
+
+// SOI, an APP0 segment, then an APP1 Exif segment whose IFD0 holds only the orientation tag
+const jpegWithOrientation = (orientation, littleEndian) => {
+  const bytes = [0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00];
+  const u16 = (value) => (littleEndian ? [value & 0xff, value >> 8] : [value >> 8, value & 0xff]);
+  const u32 = (value) => (littleEndian ? [value, 0, 0, 0] : [0, 0, 0, value]);
+  const tiff = [
+    ...(littleEndian ? [0x49, 0x49] : [0x4d, 0x4d]), ...u16(42), ...u32(8),
+    ...u16(1),
+    ...u16(0x0112), ...u16(3), ...u32(1), ...u16(orientation), 0, 0,
+    ...u32(0)
+  ];
+  const exif = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+  bytes.push(0xff, 0xe1, (exif.length + 2) >> 8, (exif.length + 2) & 0xff, ...exif, 0xff, 0xda, 0x00, 0x02);
+  return new Uint8Array(bytes).buffer;
+};
+
+test('reads the orientation in both byte orders', () => {
+  expect(readJpegOrientation(jpegWithOrientation(6, false))).toBe(6);
+  expect(readJpegOrientation(jpegWithOrientation(8, true))).toBe(8);
+});
+
+test('treats images without EXIF as upright', () => {
+  expect(readJpegOrientation(new Uint8Array([0xff, 0xd8, 0xff, 0xda, 0x00, 0x02]).buffer)).toBe(1);
+  expect(readJpegOrientation(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer)).toBe(1);
+});
+
+test('maps a quarter turn onto the swapped canvas', () => {
+  // Orientation 6 stores the image rotated 90° counter-clockwise: the raw
+  // top-left corner ends up at the top-right of the upright image
+  const [a, b, c, d, e, f] = orientationTransform(6, 400, 300);
+  const apply = (x, y) => [a * x + c * y + e, b * x + d * y + f];
+
+  expect(apply(0, 0)).toEqual([300, 0]);
+  expect(apply(400, 300)).toEqual([0, 400]);
+});
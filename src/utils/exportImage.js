@@ -0,0 +1,225 @@
+// exportImage.js - Export results as PNG, JPEG or WebP files
+//
+// Results are fetched into a blob first (an `<a download>` is ignored for
+// cross-origin URLs), redrawn at the chosen scale and re-encoded. Generation
+// details can be embedded as XMP metadata, which photo tools like exiftool,
+// Lightroom and most DAMs can read. An optional watermark is drawn on top.
+import { getProvider, resolveSettings } from '../providers';
+import { blobToDataUrl, fetchImageBlob, loadImage } from './image';
+import { drawWatermark } from './watermark';
+import { crc32, createZip } from './zip';
+
+export const EXPORT_FORMATS = [
+  { id: 'png', label: 'PNG', mimeType: 'image/png', lossy: false },
+  { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', lossy: true },
+  { id: 'webp', label: 'WebP', mimeType: 'image/webp', lossy: true }
+];
+
+export const EXPORT_SCALES = [
+  { label: '50%', value: 0.5 },
+  { label: '100% (original)', value: 1 },
+  { label: '150%', value: 1.5 },
+  { label: '200%', value: 2 }
+];
+
+export const DEFAULT_EXPORT_OPTIONS = { format: 'png', quality: 0.92, scale: 1, includeMetadata: true };
+
+const OPTIONS_KEY = 'stitchpix_export_options';
+
+// The last options chosen in the export dialog, so every download path saves results the same way
+export const loadExportOptions = () => {
+  try {
+    return { ...DEFAULT_EXPORT_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) };
+  } catch (error) {
+    return DEFAULT_EXPORT_OPTIONS;
+  }
+};
+
+export const saveExportOptions = (options) => localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+
+const EXTENSIONS = { png: 'png', jpeg: 'jpg', webp: 'webp' };
+
+export const getExportFormat = (id) => EXPORT_FORMATS.find(format => format.id === id) || EXPORT_FORMATS[0];
+
+export const exportFileName = (image, format) => `stitchpix-ai-result-${image.id}.${EXTENSIONS[getExportFormat(format).id]}`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// XMP packet with the generation details; `fields` are added in the stitchpix namespace
+export const buildXmp = ({ description, date = new Date(), fields = {} }) => {
+  const attributes = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ` stitchpix:${key}="${escapeXml(typeof value === 'object' ? JSON.stringify(value) : value)}"`)
+    .join('');
+  return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+    + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+    + '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/"'
+    + ` xmlns:stitchpix="https://stitchpix.ai/ns/1.0/" xmp:CreatorTool="StitchPix AI" xmp:MetadataDate="${date.toISOString()}"${attributes}>`
+    + (description ? `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(description)}</rdf:li></rdf:Alt></dc:description>` : '')
+    + '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="r"?>';
+};
+
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+const uint32 = (value, littleEndian = false) => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, littleEndian);
+  return bytes;
+};
+
+// PNG: an iTXt chunk right after IHDR
+const embedPngXmp = (bytes, xmp) => {
+  const data = concatBytes(ascii('XML:com.adobe.xmp'), new Uint8Array(5), new TextEncoder().encode(xmp));
+  const typeAndData = concatBytes(ascii('iTXt'), data);
+  const chunk = concatBytes(uint32(data.length), typeAndData, uint32(crc32(typeAndData)));
+  const afterHeader = 8 + 8 + 13 + 4;
+  return concatBytes(bytes.subarray(0, afterHeader), chunk, bytes.subarray(afterHeader));
+};
+
+// JPEG: an APP1 segment after SOI and any JFIF APP0 segment
+const embedJpegXmp = (bytes, xmp) => {
+  const payload = concatBytes(ascii('http://ns.adobe.com/xap/1.0/\0'), new TextEncoder().encode(xmp));
+  const segment = concatBytes(new Uint8Array([0xff, 0xe1, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]), payload);
+  let offset = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+    offset += 2 + ((bytes[4] << 8) | bytes[5]);
+  }
+  return concatBytes(bytes.subarray(0, offset), segment, bytes.subarray(offset));
+};
+
+// WebP: an 'XMP ' chunk, which needs the extended (VP8X) header with its XMP flag
+const embedWebpXmp = (bytes, xmp, { width, height }) => {
+  let body = bytes.subarray(12);
+
+  if (String.fromCharCode(...body.subarray(0, 4)) === 'VP8X') {
+    body = body.slice();
+    body[8] |= 0x04;
+  } else {
+    const vp8x = new Uint8Array(18);
+    const vp8xView = new DataView(vp8x.buffer);
+    vp8x.set(ascii('VP8X'));
+    vp8xView.setUint32(4, 10, true);
+    vp8x[8] = 0x04 | (String.fromCharCode(...body.subarray(0, 4)) === 'VP8L' ? 0x10 : 0);
+    vp8xView.setUint16(12, (width - 1) & 0xffff, true);
+    vp8x[14] = ((width - 1) >> 16) & 0xff;
+    vp8xView.setUint16(15, (height - 1) & 0xffff, true);
+    vp8x[17] = ((height - 1) >> 16) & 0xff;
+    body = concatBytes(vp8x, body);
+  }
+
+  const data = new TextEncoder().encode(xmp);
+  const padding = new Uint8Array(data.length % 2);
+  const chunk = concatBytes(ascii('XMP '), uint32(data.length, true), data, padding);
+  const riffBody = concatBytes(ascii('WEBP'), body, chunk);
+  return concatBytes(ascii('RIFF'), uint32(riffBody.length, true), riffBody);
+};
+
+export const embedXmp = (bytes, mimeType, xmp, size) => {
+  if (mimeType === 'image/png') return embedPngXmp(bytes, xmp);
+  if (mimeType === 'image/jpeg') return embedJpegXmp(bytes, xmp);
+  if (mimeType === 'image/webp') return embedWebpXmp(bytes, xmp, size);
+  return bytes;
+};
+
+const canvasToBlob = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), mimeType, quality);
+});
+
+const readBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+// Generation details for the XMP packet. Results record the settings they were
+// made with; the current ones are only used for results saved before that.
+export const exportMetadata = (image, providerSettings = {}) => {
+  const provider = getProvider(image.source);
+  const settings = image.settings || resolveSettings(provider, providerSettings[image.source]);
+  return {
+    Engine: provider?.name || image.source,
+    Quality: image.quality,
+    Settings: Object.keys(settings).length ? settings : null,
+    Merge: image.merge,
+    ResultId: image.id
+  };
+};
+
+// Draw the result at `scale` and encode it; resolves with { blob, fileName, width, height }
+// `providerSettings` ({ [providerId]: values }) adds the engine settings to the
+// metadata; `watermark` (see watermark.js) is drawn over the result
+export const exportImage = async (image, { format, quality, scale, includeMetadata, providerSettings = {}, watermark } = DEFAULT_EXPORT_OPTIONS) => {
+  const { mimeType, label, lossy } = getExportFormat(format);
+
+  let img;
+  try {
+    img = await loadImage(await blobToDataUrl(await fetchImageBlob(image.url)));
+  } catch (error) {
+    throw new Error(`Could not download the result: ${error.message}`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.width * scale));
+  canvas.height = Math.max(1, Math.round(img.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  // JPEG has no transparency - keep cut-outs on white instead of black
+  if (mimeType === 'image/jpeg') {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  try {
+    await drawWatermark(ctx, canvas.width, canvas.height, watermark);
+  } catch (error) {
+    throw new Error('Could not draw the watermark logo - upload it again');
+  }
+
+  let blob = await canvasToBlob(canvas, mimeType, lossy ? quality : undefined);
+  // Browsers fall back to PNG for formats they can't encode (e.g. WebP in Safari)
+  if (blob.type !== mimeType) {
+    throw new Error(`This browser cannot save ${label} files - choose another format`);
+  }
+
+  if (includeMetadata) {
+    const xmp = buildXmp({
+      description: ['Virtual try-on', image.label].filter(Boolean).join(' - '),
+      fields: exportMetadata(image, providerSettings)
+    });
+    blob = new Blob([embedXmp(await readBytes(blob), mimeType, xmp, canvas)], { type: mimeType });
+  }
+
+  return { blob, fileName: exportFileName(image, format), width: canvas.width, height: canvas.height };
+};
+
+// All results in one ZIP, each exported with the same options
+export const exportZip = async (images, options) => {
+  const files = [];
+  for (const image of images) {
+    const { blob, fileName } = await exportImage(image, options);
+    files.push({ name: fileName, data: blob });
+  }
+  return createZip(files);
+};
+
+// Save a blob through a temporary object URL
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,87 @@
+import { buildXmp, embedXmp, exportFileName, exportMetadata } from './exportImage';
+import { crc32 } from './zip';
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+const textOf = (bytes) => new TextDecoder().decode(bytes);
+const XMP = buildXmp({ description: 'Virtual try-on', fields: { Engine: 'Canvas Merge' } });
+
+test('names files after the result and format', () => {
+  expect(exportFileName({ id: 7 }, 'jpeg')).toBe('stitchpix-ai-result-7.jpg');
+  expect(exportFileName({ id: 7 }, 'webp')).toBe('stitchpix-ai-result-7.webp');
+});
+
+test('builds an XMP packet with escaped generation details', () => {
+  const xmp = buildXmp({
+    description: 'Look <2>',
+    date: new Date('2024-05-17T10:30:00Z'),
+    fields: { Engine: 'Nano "Banana"', Settings: { feather: 25 }, Empty: null }
+  });
+
+  expect(xmp).toContain('xmp:CreatorTool="StitchPix AI"');
+  expect(xmp).toContain('xmp:MetadataDate="2024-05-17T10:30:00.000Z"');
+  expect(xmp).toContain('stitchpix:Engine="Nano &quot;Banana&quot;"');
+  expect(xmp).toContain('stitchpix:Settings="{&quot;feather&quot;:25}"');
+  expect(xmp).not.toContain('Empty');
+  expect(xmp).toContain('Look &lt;2&gt;');
+});
+
+test('describes a result with the settings it was made with', () => {
+  const merge = { placement: { scale: 1.2, offsetX: 0.1, offsetY: 0, rotation: 0 }, feather: 0.1, colorMatch: 0.3 };
+  const image = { id: 2, source: 'canvas', quality: 'Canvas Merged', settings: { feather: 10, colorMatch: 30, variants: 1 }, merge };
+
+  expect(exportMetadata(image, { canvas: { feather: 55 } })).toEqual({
+    Engine: 'Canvas Merge (Free)',
+    Quality: 'Canvas Merged',
+    Settings: { feather: 10, colorMatch: 30, variants: 1 },
+    Merge: merge,
+    ResultId: 2
+  });
+});
+
+test('falls back to the current settings for results saved without them', () => {
+  const image = { id: 1, source: 'canvas', quality: 'Canvas Merged' };
+
+  expect(exportMetadata(image, { canvas: { feather: 55 } }).Settings).toEqual({ feather: 55, colorMatch: 60, variants: 4 });
+});
+
+test('adds an iTXt chunk after the PNG header', () => {
+  const ihdr = [0, 0, 0, 13, ...ascii('IHDR'), ...new Array(13).fill(1), 0, 0, 0, 0];
+  const png = new Uint8Array([0x89, ...ascii('PNG\r\n\x1a\n'), ...ihdr, 0, 0, 0, 0, ...ascii('IEND'), 0xae, 0x42, 0x60, 0x82]);
+
+  const result = embedXmp(png, 'image/png', XMP);
+  const view = new DataView(result.buffer);
+  const length = view.getUint32(33);
+
+  expect(textOf(result.subarray(37, 41))).toBe('iTXt');
+  expect(textOf(result.subarray(41, 58))).toBe('XML:com.adobe.xmp');
+  expect(view.getUint32(41 + length)).toBe(crc32(result.subarray(37, 41 + length)));
+  expect(textOf(result.subarray(result.length - 8, result.length - 4))).toBe('IEND');
+});
+
+test('adds an APP1 segment after the JFIF header of a JPEG', () => {
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 4, 1, 2, 0xff, 0xdb, 0, 2, 0xff, 0xd9]);
+
+  const result = embedXmp(jpeg, 'image/jpeg', XMP);
+
+  expect(Array.from(result.subarray(8, 10))).toEqual([0xff, 0xe1]);
+  const length = (result[10] << 8) | result[11];
+  expect(textOf(result.subarray(12, 40))).toBe('http://ns.adobe.com/xap/1.0/');
+  expect(Array.from(result.subarray(10 + length, 12 + length))).toEqual([0xff, 0xdb]);
+});
+
+test('switches a simple WebP to the extended format to hold XMP', () => {
+  const vp8 = [...ascii('VP8 '), 4, 0, 0, 0, 1, 2, 3, 4];
+  const webp = new Uint8Array([...ascii('RIFF'), 16, 0, 0, 0, ...ascii('WEBP'), ...vp8]);
+
+  const result = embedXmp(webp, 'image/webp', XMP, { width: 640, height: 480 });
+  const view = new DataView(result.buffer);
+
+  expect(view.getUint32(4, true)).toBe(result.length - 8);
+  expect(textOf(result.subarray(12, 16))).toBe('VP8X');
+  expect(result[20] & 0x04).toBe(0x04);
+  expect(view.getUint16(24, true) | (result[26] << 16)).toBe(639);
+  expect(view.getUint16(27, true) | (result[29] << 16)).toBe(479);
+  expect(textOf(result.subarray(30, 34))).toBe('VP8 ');
+  expect(textOf(result.subarray(42, 46))).toBe('XMP ');
+  expect(result.length % 2).toBe(0);
+});
@@ -0,0 +1,93 @@
+// historyStore.js - Local try-on history kept in IndexedDB
+//
+// Each entry: { id, createdAt, owner, modelId, settings, userPhoto, dressPhoto, thumbnail, results }
+// where results are the generated [{ id, url, quality, source, attempts, ... }] images
+// and modelId is the engine that produced them (see runWithFallback).
+//
+// Entries belong to the account that created them (`owner`). Reads take the
+// signed-in user and never return another account's entries, so the next
+// person to sign in on a shared browser can't see someone else's photos.
+
+const DB_NAME = 'stitchpix';
+const DB_VERSION = 1;
+const STORE = 'history';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('History is not available in this browser'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Resolves with the request's result once the transaction has committed
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('History update was aborted'));
+  });
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Same key as the watermark presets: the account id, or its email for older accounts
+export const historyOwner = (user) => user?.id || user?.email || null;
+
+const isOwnedBy = (entry, user) => Boolean(entry) && entry.owner != null && entry.owner === historyOwner(user);
+
+export const addHistoryEntry = async (entry, user) => {
+  const stored = { id: createId(), createdAt: Date.now(), ...entry, owner: historyOwner(user) };
+  await withStore('readwrite', store => store.put(stored));
+  return stored;
+};
+
+export const updateHistoryEntry = (entry) => withStore('readwrite', store => store.put(entry));
+
+// The entry, or null when it doesn't exist or belongs to another account
+export const getHistoryEntry = async (id, user) => {
+  const entry = await withStore('readonly', store => store.get(id));
+  return isOwnedBy(entry, user) ? entry : null;
+};
+
+// The user's entries, newest first
+export const listHistoryEntries = async (user) => {
+  const entries = await withStore('readonly', store => store.index('createdAt').getAll());
+  return entries.filter(entry => isOwnedBy(entry, user)).reverse();
+};
+
+export const deleteHistoryEntry = async (id, user) => {
+  if (await getHistoryEntry(id, user)) {
+    await withStore('readwrite', store => store.delete(id));
+  }
+};
+
+// { usage, quota } in bytes, or null when the browser can't tell
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    return null;
+  }
+};
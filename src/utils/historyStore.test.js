@@ -0,0 +1,26 @@
+import 'fake-indexeddb/auto';
+import { addHistoryEntry, deleteHistoryEntry, getHistoryEntry, listHistoryEntries } from './historyStore';
+
+const ana = { id: 'u1', email: 'ana@example.com' };
+const ben = { email: 'ben@example.com' };
+
+const entry = (modelId) => ({ modelId, userPhoto: 'data:image/png;base64,ZmFjZQ==', dressPhoto: 'data:image/png;base64,ZHJlc3M=', results: [] });
+
+test('keeps each account\'s history to itself', async () => {
+  const anaEntry = await addHistoryEntry(entry('canvas'), ana);
+  const benEntry = await addHistoryEntry(entry('nanobanana'), ben);
+
+  expect(anaEntry.owner).toBe('u1');
+  expect((await listHistoryEntries(ana)).map(saved => saved.id)).toEqual([anaEntry.id]);
+  expect((await listHistoryEntries(ben)).map(saved => saved.id)).toEqual([benEntry.id]);
+
+  // Opening another account's /results/:id link finds nothing
+  expect(await getHistoryEntry(anaEntry.id, ben)).toBeNull();
+  expect(await getHistoryEntry(anaEntry.id, null)).toBeNull();
+  expect((await getHistoryEntry(anaEntry.id, ana)).modelId).toBe('canvas');
+
+  await deleteHistoryEntry(anaEntry.id, ben);
+  expect(await getHistoryEntry(anaEntry.id, ana)).not.toBeNull();
+  await deleteHistoryEntry(anaEntry.id, ana);
+  expect(await listHistoryEntries(ana)).toEqual([]);
+});
@@ -0,0 +1,58 @@
+// image.js - Shared helpers for working with image data URLs
+
+// Convert a base64 data URL into a Blob so it can be sent as multipart form data
+export const dataUrlToBlob = (dataUrl) => {
+  const byteString = atob(dataUrl.split(',')[1]);
+  const mimeString = dataUrl.split(',')[0].split(':')[1].split(';')[0];
+  const ab = new ArrayBuffer(byteString.length);
+  const ia = new Uint8Array(ab);
+  for (let i = 0; i < byteString.length; i++) {
+    ia[i] = byteString.charCodeAt(i);
+  }
+  return new Blob([ab], { type: mimeString });
+};
+
+// Image bytes of a data URL or a (CORS-readable) remote URL
+export const fetchImageBlob = async (url) => {
+  if (url.startsWith('data:')) return dataUrlToBlob(url);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download image (status ${response.status})`);
+  }
+  return response.blob();
+};
+
+// Read a Blob (e.g. a binary API response) back into a data URL
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read image data'));
+  reader.readAsDataURL(blob);
+});
+
+// Strip the "data:image/...;base64," prefix for APIs that want raw base64
+export const dataUrlToBase64 = (dataUrl) => dataUrl.split(',')[1];
+
+// Load an image source (data URL or URL) into an HTMLImageElement
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not load image'));
+  img.src = src;
+});
+
+// Small JPEG preview of an image, or the original URL when it can't be read
+// back from a canvas (e.g. a cross-origin result without CORS headers)
+export const createThumbnail = async (src, maxSize = 240) => {
+  try {
+    const img = await loadImage(src);
+    const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.width * scale));
+    canvas.height = Math.max(1, Math.round(img.height * scale));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+  } catch (error) {
+    return src;
+  }
+};
@@ -0,0 +1,80 @@
+// imageImport.js - Get upload images from drag-and-drop, the clipboard or a URL
+//
+// Everything ends up as a File so it goes through the same validation and
+// preprocessing as a regular file upload.
+import { proxyUrl } from '../providers/proxy';
+import { ApiError, apiRequest } from './apiClient';
+import { dataUrlToBlob } from './image';
+
+// The http(s) URL in a piece of pasted/dropped text, or null
+export const parseImageUrl = (text) => {
+  const candidate = String(text || '').trim().split(/\s+/)[0];
+  try {
+    const url = new URL(candidate);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Images dragged from another tab carry their address in the HTML fragment
+const imageSrcFromHtml = (html) => parseImageUrl(html.match(/<img\s[^>]*src\s*=\s*["']([^"']+)["']/i)?.[1]);
+
+// What a drop or paste carries: { file }, { url }, { unsupported: message }, or null when empty
+export const imageFromDataTransfer = (dataTransfer) => {
+  if (!dataTransfer) return null;
+
+  const files = Array.from(dataTransfer.files || []);
+  if (files.length) {
+    const image = files.find(file => file.type.startsWith('image/'));
+    return image ? { file: image } : { unsupported: `"${files[0].name}" is not an image - please use a JPEG, PNG or WebP photo` };
+  }
+
+  const html = dataTransfer.getData('text/html');
+  const url = (html && imageSrcFromHtml(html))
+    || parseImageUrl(dataTransfer.getData('text/uri-list'))
+    || parseImageUrl(dataTransfer.getData('text/plain'));
+  if (url) return { url };
+
+  if (html || dataTransfer.getData('text/plain')) {
+    return { unsupported: 'That is not an image or an image link' };
+  }
+  return null;
+};
+
+const fileNameFor = (url, type) => {
+  const name = new URL(url).pathname.split('/').pop();
+  return name || `imported.${type.split('/')[1] || 'png'}`;
+};
+
+// Download an image URL as a File. Most shops don't send CORS headers, so when
+// the browser can't read the image itself the StitchPix server fetches it (and
+// resolves product page links to their preview image).
+export const importImageFromUrl = async (rawUrl) => {
+  const url = parseImageUrl(rawUrl);
+  if (!url) {
+    throw new Error('Please enter an http:// or https:// image link');
+  }
+
+  try {
+    const response = await fetch(url);
+    const blob = response.ok ? await response.blob() : null;
+    if (blob?.type.startsWith('image/')) {
+      return new File([blob], fileNameFor(url, blob.type), { type: blob.type });
+    }
+  } catch (error) {
+    // Blocked by CORS or offline - let the server try
+  }
+
+  let result;
+  try {
+    // The server only fetches links for signed-in users, so this call carries the session token
+    result = await apiRequest(`${proxyUrl()}/api/import-image`, { method: 'POST', auth: true, body: { url } });
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new Error(`Could not reach the StitchPix server at ${proxyUrl()} to import that link`);
+  }
+  const { image, sourceUrl } = result;
+  const blob = dataUrlToBlob(image);
+  return new File([blob], fileNameFor(sourceUrl, blob.type), { type: blob.type });
+};
@@ -0,0 +1,72 @@
+import { imageFromDataTransfer, importImageFromUrl, parseImageUrl } from './imageImport';
+
+const toBase64Url = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const makeDataTransfer = (data = {}, files = []) => ({
+  files,
+  getData: (type) => data[type] || ''
+});
+
+const jsonResponse = (status, data) => ({ ok: status >= 200 && status < 300, status, json: async () => data });
+
+beforeEach(() => {
+  localStorage.clear();
+  const token = `${toBase64Url({ alg: 'HS256' })}.${toBase64Url({ exp: Math.floor(Date.now() / 1000) + 3600 })}.signature`;
+  localStorage.setItem('token', token);
+  localStorage.setItem('user', JSON.stringify({ name: 'Test User', email: 'user@example.com' }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('finds http(s) links in pasted text', () => {
+  expect(parseImageUrl('  https://shop.example.com/dress.jpg \n')).toBe('https://shop.example.com/dress.jpg');
+  expect(parseImageUrl('mailto:shop@example.com')).toBeNull();
+  expect(parseImageUrl('red dress')).toBeNull();
+});
+
+test('reads files, image links and unsupported content from drops and pastes', () => {
+  const photo = new File(['x'], 'me.png', { type: 'image/png' });
+  const notes = new File(['x'], 'notes.pdf', { type: 'application/pdf' });
+
+  expect(imageFromDataTransfer(makeDataTransfer({}, [notes, photo]))).toEqual({ file: photo });
+  expect(imageFromDataTransfer(makeDataTransfer({}, [notes])).unsupported).toMatch(/"notes.pdf" is not an image/);
+  expect(imageFromDataTransfer(makeDataTransfer({
+    'text/html': '<img alt="" src="https://cdn.example.com/dress.webp">',
+    'text/uri-list': 'https://shop.example.com/products/dress'
+  }))).toEqual({ url: 'https://cdn.example.com/dress.webp' });
+  expect(imageFromDataTransfer(makeDataTransfer({ 'text/plain': 'https://shop.example.com/p/1' }))).toEqual({ url: 'https://shop.example.com/p/1' });
+  expect(imageFromDataTransfer(makeDataTransfer({ 'text/plain': 'just some words' }))).toEqual({ unsupported: 'That is not an image or an image link' });
+  expect(imageFromDataTransfer(makeDataTransfer())).toBeNull();
+});
+
+test('imports through the server when the browser cannot read the image', async () => {
+  localStorage.setItem('token', 'session-token');
+  localStorage.setItem('user', JSON.stringify({ email: 'user@example.com' }));
+  global.fetch = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(jsonResponse(200, {
+      image: 'data:image/png;base64,iVBORw0KGgo=',
+      sourceUrl: 'https://cdn.example.com/images/red-dress.png'
+    }));
+
+  const file = await importImageFromUrl('https://shop.example.com/products/red-dress');
+
+  expect(file.name).toBe('red-dress.png');
+  expect(file.type).toBe('image/png');
+  const [url, options] = global.fetch.mock.calls[1];
+  expect(url).toMatch(/\/api\/import-image$/);
+  expect(JSON.parse(options.body)).toEqual({ url: 'https://shop.example.com/products/red-dress' });
+  expect(options.headers.Authorization).toBe('Bearer session-token');
+  localStorage.clear();
+});
+
+test('reports why the server could not import a link', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce({ ok: true, status: 200, blob: async () => new Blob(['<html>'], { type: 'text/html' }) })
+    .mockResolvedValueOnce(jsonResponse(422, { error: 'That link points to a private address' }));
+
+  await expect(importImageFromUrl('http://intranet.example.com/a.png')).rejects.toThrow('That link points to a private address');
+  await expect(importImageFromUrl('ftp://example.com/a.png')).rejects.toThrow('Please enter an http:// or https:// image link');
+});
@@ -0,0 +1,205 @@
+// keyVault.js - Per-provider credential storage, encrypted at rest
+//
+// Credentials are encrypted with AES-GCM using a key derived from the user's
+// passphrase (PBKDF2). Provider ids are stored in plain text so the UI can show
+// which providers are configured while the vault is locked.
+
+const STORAGE_KEY = 'stitchpix_key_vault';
+const VAULT_VERSION = 1;
+const CHECK_VALUE = 'stitchpix-vault-check';
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const isEncryptedValue = (value) => typeof value?.iv === 'string' && typeof value?.data === 'string';
+
+export class KeyVault {
+  constructor({ storage, crypto, iterations = 250000 } = {}) {
+    this.storage = storage || window.localStorage;
+    this.crypto = crypto || window.crypto;
+    this.iterations = iterations;
+    this.key = null;
+  }
+
+  read() {
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  write(vault) {
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(vault));
+  }
+
+  exists() {
+    return Boolean(this.read());
+  }
+
+  isUnlocked() {
+    return Boolean(this.key);
+  }
+
+  configuredProviders() {
+    return Object.keys(this.read()?.entries || {});
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const baseKey = await this.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return this.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encrypt(text) {
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const data = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.key,
+      new TextEncoder().encode(text)
+    );
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+  }
+
+  async decrypt({ iv, data }) {
+    const plain = await this.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(iv) },
+      this.key,
+      base64ToBytes(data)
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  // Unlocks the vault (creating it on first use) and returns every stored
+  // credential as { [providerId]: { apiKey, ... } }
+  async unlock(passphrase) {
+    if (!passphrase) {
+      throw new Error('Please enter your vault passphrase');
+    }
+
+    let vault = this.read();
+
+    if (!vault) {
+      const salt = this.crypto.getRandomValues(new Uint8Array(16));
+      this.key = await this.deriveKey(passphrase, salt, this.iterations);
+      vault = {
+        version: VAULT_VERSION,
+        salt: bytesToBase64(salt),
+        iterations: this.iterations,
+        check: await this.encrypt(CHECK_VALUE),
+        entries: {}
+      };
+      this.write(vault);
+      return {};
+    }
+
+    this.key = await this.deriveKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+
+    try {
+      if (await this.decrypt(vault.check) !== CHECK_VALUE) throw new Error();
+    } catch (error) {
+      this.key = null;
+      throw new Error('Incorrect vault passphrase');
+    }
+
+    const credentials = {};
+    for (const [providerId, entry] of Object.entries(vault.entries)) {
+      credentials[providerId] = JSON.parse(await this.decrypt(entry));
+    }
+    return credentials;
+  }
+
+  lock() {
+    this.key = null;
+  }
+
+  requireUnlocked() {
+    if (!this.key) {
+      throw new Error('Unlock the key vault first');
+    }
+  }
+
+  async setCredentials(providerId, credentials) {
+    this.requireUnlocked();
+    const vault = this.read();
+    vault.entries[providerId] = await this.encrypt(JSON.stringify(credentials));
+    this.write(vault);
+  }
+
+  removeCredentials(providerId) {
+    this.requireUnlocked();
+    const vault = this.read();
+    delete vault.entries[providerId];
+    this.write(vault);
+  }
+
+  // The exported vault stays encrypted - it can only be opened with the passphrase
+  exportVault() {
+    const vault = this.read();
+    if (!vault) {
+      throw new Error('There is no key vault to export yet');
+    }
+    return JSON.stringify(vault, null, 2);
+  }
+
+  importVault(json) {
+    let vault;
+    try {
+      vault = JSON.parse(json);
+    } catch (error) {
+      throw new Error('The selected file is not a StitchPix key vault');
+    }
+
+    const valid = vault?.version === VAULT_VERSION
+      && typeof vault.salt === 'string'
+      && Number.isInteger(vault.iterations)
+      && isEncryptedValue(vault.check)
+      && vault.entries && typeof vault.entries === 'object'
+      && Object.values(vault.entries).every(isEncryptedValue);
+
+    if (!valid) {
+      throw new Error('The selected file is not a StitchPix key vault');
+    }
+
+    this.write(vault);
+    this.lock();
+  }
+}
+
+// Older versions kept one plain-text key that only Nano Banana ever used.
+// Move it into the vault the first time the vault is unlocked.
+const LEGACY_API_KEY = 'stitchpix_api_key';
+
+export const migrateLegacyApiKey = async (vault, credentials) => {
+  const legacyKey = vault.storage.getItem(LEGACY_API_KEY);
+  if (!legacyKey) return credentials;
+
+  let migrated = credentials;
+  if (!credentials.nanobanana) {
+    migrated = { ...credentials, nanobanana: { apiKey: legacyKey } };
+    await vault.setCredentials('nanobanana', migrated.nanobanana);
+  }
+  vault.storage.removeItem(LEGACY_API_KEY);
+  return migrated;
+};
+
+export const keyVault = new KeyVault();
@@ -0,0 +1,61 @@
+import { webcrypto } from 'crypto';
+import { KeyVault, migrateLegacyApiKey } from './keyVault';
+
+const createVault = () => new KeyVault({ storage: window.localStorage, crypto: webcrypto, iterations: 1000 });
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('stores one encrypted credential per provider', async () => {
+  const vault = createVault();
+  expect(await vault.unlock('correct horse')).toEqual({});
+
+  await vault.setCredentials('nanobanana', { apiKey: 'nb-secret' });
+  await vault.setCredentials('replicate', { apiKey: 'r8-secret' });
+
+  const stored = window.localStorage.getItem('stitchpix_key_vault');
+  expect(stored).not.toContain('nb-secret');
+  expect(vault.configuredProviders()).toEqual(['nanobanana', 'replicate']);
+
+  vault.lock();
+  expect(await createVault().unlock('correct horse')).toEqual({
+    nanobanana: { apiKey: 'nb-secret' },
+    replicate: { apiKey: 'r8-secret' }
+  });
+});
+
+test('rejects a wrong passphrase and refuses writes while locked', async () => {
+  const vault = createVault();
+  await vault.unlock('correct horse');
+  vault.lock();
+
+  await expect(vault.unlock('wrong')).rejects.toThrow('Incorrect vault passphrase');
+  expect(vault.isUnlocked()).toBe(false);
+  await expect(vault.setCredentials('replicate', { apiKey: 'x' })).rejects.toThrow('Unlock the key vault first');
+});
+
+test('exports and imports the encrypted vault', async () => {
+  const vault = createVault();
+  await vault.unlock('correct horse');
+  await vault.setCredentials('huggingface', { apiKey: 'hf-secret' });
+  const exported = vault.exportVault();
+
+  window.localStorage.clear();
+  const restored = createVault();
+  expect(() => restored.importVault('{"entries": {}}')).toThrow('not a StitchPix key vault');
+
+  restored.importVault(exported);
+  expect(restored.isUnlocked()).toBe(false);
+  expect(await restored.unlock('correct horse')).toEqual({ huggingface: { apiKey: 'hf-secret' } });
+});
+
+test('moves the legacy plain-text key into the vault', async () => {
+  window.localStorage.setItem('stitchpix_api_key', 'old-key');
+  const vault = createVault();
+  const credentials = await migrateLegacyApiKey(vault, await vault.unlock('correct horse'));
+
+  expect(credentials).toEqual({ nanobanana: { apiKey: 'old-key' } });
+  expect(window.localStorage.getItem('stitchpix_api_key')).toBeNull();
+  expect(vault.configuredProviders()).toEqual(['nanobanana']);
+});
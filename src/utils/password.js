@@ -0,0 +1,56 @@
+// password.js - Password rules and strength estimate for signup and reset
+//
+// Rules are required; the strength score (0-4) only guides the user towards a
+// longer, more varied password. Existing passwords are not re-checked at login.
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// The most common leaked passwords that still satisfy the length rule
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', 'iloveyou', 'sunshine1', 'princess1', 'football1',
+  'welcome1', 'admin123', 'letmein1', 'abc12345', 'passw0rd', 'stitchpix'
+]);
+
+export const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+// Personal details (name, email) that shouldn't appear in the password
+const personalWords = ({ email = '', name = '' } = {}) => [email.split('@')[0], ...name.split(/\s+/)]
+  .map(word => word.toLowerCase())
+  .filter(word => word.length >= 3);
+
+// [{ id, label, met }] for the checklist under the password field
+export const checkPassword = (password, context) => {
+  const lower = password.toLowerCase();
+  return [
+    { id: 'length', label: `At least ${MIN_PASSWORD_LENGTH} characters`, met: password.length >= MIN_PASSWORD_LENGTH },
+    { id: 'case', label: 'Upper and lower case letters', met: /[a-z]/.test(password) && /[A-Z]/.test(password) },
+    { id: 'number', label: 'At least one number', met: /\d/.test(password) },
+    {
+      id: 'personal',
+      label: 'Not common or based on your name or email',
+      met: Boolean(password) && !COMMON_PASSWORDS.has(lower) && !personalWords(context).some(word => lower.includes(word))
+    }
+  ];
+};
+
+// First unmet rule as an error message, or null
+export const passwordError = (password, context) => {
+  const failed = checkPassword(password, context).find(check => !check.met);
+  if (!failed) return null;
+  if (failed.id === 'personal') return 'Password is too easy to guess - avoid common passwords and your name or email';
+  return `Password needs: ${failed.label.toLowerCase()}`;
+};
+
+// 0-4: rules met, with extra credit for symbols and length beyond the minimum
+export const passwordStrength = (password, context) => {
+  if (!password) return 0;
+  const checks = checkPassword(password, context);
+  if (checks.some(check => check.id === 'personal' && !check.met)) return 0;
+
+  let score = checks.filter(check => check.met).length - 1;
+  if (/[^A-Za-z0-9]/.test(password)) score += 1;
+  if (password.length >= 12) score += 1;
+  if (checks.some(check => !check.met)) score = Math.min(score, 1);
+  return Math.max(0, Math.min(4, score));
+};
@@ -0,0 +1,32 @@
+import { checkPassword, passwordError, passwordStrength } from './password';
+
+test('requires length, mixed case and a number', () => {
+  expect(passwordError('short1A')).toBe('Password needs: at least 8 characters');
+  expect(passwordError('lowercase1')).toBe('Password needs: upper and lower case letters');
+  expect(passwordError('NoNumbersHere')).toBe('Password needs: at least one number');
+  expect(passwordError('Tailored7Fit')).toBeNull();
+});
+
+test('rejects common passwords and ones based on the name or email', () => {
+  expect(passwordError('Password123')).toMatch(/too easy to guess/);
+  expect(passwordError('Janedoe2024', { email: 'janedoe@example.com' })).toMatch(/too easy to guess/);
+  expect(passwordError('Ramirez2024x', { name: 'Ana Ramirez' })).toMatch(/too easy to guess/);
+  expect(passwordError('Ramirez2024x', { name: 'Ana Li' })).toBeNull();
+});
+
+test('scores strength from 0 to 4', () => {
+  expect(passwordStrength('')).toBe(0);
+  expect(passwordStrength('Password123')).toBe(0);
+  expect(passwordStrength('abcdefgh')).toBe(1);
+  expect(passwordStrength('Tailored7')).toBe(3);
+  expect(passwordStrength('Tailored7Fit!')).toBe(4);
+});
+
+test('lists which rules are met', () => {
+  expect(checkPassword('abcdefgh1').map(check => [check.id, check.met])).toEqual([
+    ['length', true],
+    ['case', false],
+    ['number', true],
+    ['personal', true]
+  ]);
+});
@@ -0,0 +1,115 @@
+// preprocess.js - Normalize photos before they are used for generation
+//
+// Uploads are turned upright (EXIF orientation), downscaled to a working size
+// and re-encoded. Right before generation each photo is downscaled again to the
+// resolution the chosen provider works best with (`inputMaxSize` on the adapter).
+import { isQuarterTurn, orientationTransform, readJpegOrientation } from './exif';
+import { blobToDataUrl, loadImage } from './image';
+
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+export const WORKING_MAX_SIZE = 2048;
+export const DEFAULT_INPUT_MAX_SIZE = 1536;
+const JPEG_QUALITY = 0.92;
+
+// Browsers that support `image-orientation` already draw JPEGs upright,
+// so rotating them again would turn the photo sideways
+const browserAppliesOrientation = () => typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+
+// PNG/WebP/GIF may be transparent (e.g. dress cut-outs), so they stay PNG
+const outputTypeFor = (mimeType) => (mimeType === 'image/jpeg' ? 'image/jpeg' : 'image/png');
+
+const mimeTypeOf = (dataUrl) => dataUrl.slice(5, dataUrl.indexOf(';'));
+
+const fitWithin = (width, height, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+const drawUpright = (img, orientation, maxSize) => {
+  const rawWidth = img.naturalWidth || img.width;
+  const rawHeight = img.naturalHeight || img.height;
+  const quarterTurn = isQuarterTurn(orientation);
+  const size = fitWithin(quarterTurn ? rawHeight : rawWidth, quarterTurn ? rawWidth : rawHeight, maxSize);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.scale(size.width / (quarterTurn ? rawHeight : rawWidth), size.height / (quarterTurn ? rawWidth : rawHeight));
+  ctx.transform(...orientationTransform(orientation, rawWidth, rawHeight));
+  ctx.drawImage(img, 0, 0, rawWidth, rawHeight);
+  return canvas;
+};
+
+// Why an uploaded file can't be used, or null. Large photos are downscaled by
+// normalizeUpload, the size limit only guards memory.
+export const validateImageFile = (file) => {
+  if (!file.type.startsWith('image/')) return 'Please upload an image file (JPEG, PNG, etc.)';
+  if (file.size > MAX_UPLOAD_BYTES) return `Image size should be less than ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`;
+  return null;
+};
+
+// Upright, downscaled data URL for an uploaded image file
+export const normalizeUpload = async (file, maxSize = WORKING_MAX_SIZE) => {
+  const dataUrl = await blobToDataUrl(file);
+  const orientation = file.type === 'image/jpeg' && !browserAppliesOrientation()
+    ? readJpegOrientation(await file.arrayBuffer())
+    : 1;
+
+  let img;
+  try {
+    img = await loadImage(dataUrl);
+  } catch (error) {
+    throw new Error('Could not read this image - please use a JPEG, PNG or WebP photo');
+  }
+
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  if (orientation === 1 && Math.max(width, height) <= maxSize && file.type === outputTypeFor(file.type)) {
+    return dataUrl;
+  }
+  return drawUpright(img, orientation, maxSize).toDataURL(outputTypeFor(file.type), JPEG_QUALITY);
+};
+
+// Downscale an (already upright) data URL so its longest side is at most maxSize
+export const downscaleDataUrl = async (dataUrl, maxSize) => {
+  const img = await loadImage(dataUrl);
+  if (Math.max(img.width, img.height) <= maxSize) return dataUrl;
+  return drawUpright(img, 1, maxSize).toDataURL(outputTypeFor(mimeTypeOf(dataUrl)), JPEG_QUALITY);
+};
+
+// Both photos at the resolution the provider expects
+export const prepareInputsFor = async (provider, { userPhoto, dressPhoto }) => {
+  const maxSize = provider?.inputMaxSize || DEFAULT_INPUT_MAX_SIZE;
+  const [user, dress] = await Promise.all([downscaleDataUrl(userPhoto, maxSize), downscaleDataUrl(dressPhoto, maxSize)]);
+  return { userPhoto: user, dressPhoto: dress };
+};
+
+// How much a w x h image must be enlarged, once rotated by `angle` radians,
+// to still cover its original frame without empty corners
+export const coverScale = (width, height, angle) => {
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  return Math.max((width * cos + height * sin) / width, (width * sin + height * cos) / height);
+};
+
+// Rotate the photo by `angle` radians (zooming in to hide the corners) and cut
+// out `crop` - { x, y, width, height } as fractions of the frame
+export const straightenAndCrop = async (dataUrl, { angle = 0, crop = { x: 0, y: 0, width: 1, height: 1 } }) => {
+  const img = await loadImage(dataUrl);
+  const scale = coverScale(img.width, img.height, angle);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.width * crop.width));
+  canvas.height = Math.max(1, Math.round(img.height * crop.height));
+
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(-crop.x * img.width, -crop.y * img.height);
+  ctx.translate(img.width / 2, img.height / 2);
+  ctx.rotate(angle);
+  ctx.scale(scale, scale);
+  ctx.drawImage(img, -img.width / 2, -img.height / 2);
+
+  return canvas.toDataURL(outputTypeFor(mimeTypeOf(dataUrl)), JPEG_QUALITY);
+};
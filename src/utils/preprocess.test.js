@@ -0,0 +1,93 @@
+import { orientationTransform } from './exif';
+import { loadImage } from './image';
+import { DEFAULT_INPUT_MAX_SIZE, MAX_UPLOAD_BYTES, coverScale, normalizeUpload, prepareInputsFor, validateImageFile } from './preprocess';
+
+jest.mock('./image', () => ({ ...jest.requireActual('./image'), loadImage: jest.fn() }));
+
+// SOI followed by an APP1 Exif segment holding only the orientation tag
+const jpegWithOrientation = (orientation) => {
+  const tiff = [0x4d, 0x4d, 0, 42, 0, 0, 0, 8, 0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0, 0, 0, 0, 0];
+  const exif = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+  return new Uint8Array([0xff, 0xd8, 0xff, 0xe1, 0, exif.length + 2, ...exif, 0xff, 0xda, 0, 2]);
+};
+
+const imageFile = (bytes, type, name = 'photo') => {
+  const file = new File([bytes], name, { type });
+  file.arrayBuffer = async () => bytes.buffer;
+  return file;
+};
+
+let context;
+
+beforeEach(() => {
+  context = { scale: jest.fn(), transform: jest.fn(), drawImage: jest.fn() };
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+  // The "encoded" image records the canvas size it was drawn at
+  jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(function toDataURL(type) {
+    return `data:${type};base64,${this.width}x${this.height}`;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('needs no zoom when the photo is not rotated', () => {
+  expect(coverScale(400, 300, 0)).toBe(1);
+});
+
+test('zooms in enough to hide the corners of a rotated photo', () => {
+  expect(coverScale(100, 100, Math.PI / 4)).toBeCloseTo(Math.SQRT2);
+  // Rotating either way needs the same zoom
+  expect(coverScale(400, 300, 0.1)).toBeCloseTo(coverScale(400, 300, -0.1));
+  expect(coverScale(400, 300, 0.1)).toBeGreaterThan(1);
+});
+
+test('rejects files that are not images or too large', () => {
+  expect(validateImageFile(new File(['hello'], 'notes.txt', { type: 'text/plain' }))).toMatch(/upload an image file/);
+
+  const huge = new File(['x'], 'huge.jpg', { type: 'image/jpeg' });
+  Object.defineProperty(huge, 'size', { value: MAX_UPLOAD_BYTES + 1 });
+  expect(validateImageFile(huge)).toBe('Image size should be less than 25MB');
+
+  expect(validateImageFile(new File(['x'], 'photo.png', { type: 'image/png' }))).toBeNull();
+});
+
+test('downscales both photos to the provider\'s input size', async () => {
+  const sizes = { 'data:image/jpeg;base64,face': [4000, 3000], 'data:image/png;base64,dress': [800, 1200] };
+  loadImage.mockImplementation(async (src) => ({ width: sizes[src][0], height: sizes[src][1] }));
+  const inputs = { userPhoto: 'data:image/jpeg;base64,face', dressPhoto: 'data:image/png;base64,dress' };
+
+  expect(await prepareInputsFor({ inputMaxSize: 1024 }, inputs)).toEqual({
+    userPhoto: 'data:image/jpeg;base64,1024x768',
+    dressPhoto: 'data:image/png;base64,683x1024'
+  });
+  // Without inputMaxSize the default applies; photos already small enough are passed through untouched
+  expect(await prepareInputsFor({}, inputs)).toEqual({
+    userPhoto: `data:image/jpeg;base64,${DEFAULT_INPUT_MAX_SIZE}x1152`,
+    dressPhoto: 'data:image/png;base64,dress'
+  });
+});
+
+test('turns a rotated phone photo upright while downscaling it', async () => {
+  loadImage.mockResolvedValue({ width: 4000, height: 3000 });
+
+  const result = await normalizeUpload(imageFile(jpegWithOrientation(6), 'image/jpeg'));
+
+  // Orientation 6 is a quarter turn, so the upright photo is portrait
+  expect(result).toBe('data:image/jpeg;base64,1536x2048');
+  expect(context.transform).toHaveBeenCalledWith(...orientationTransform(6, 4000, 3000));
+});
+
+test('keeps small upright uploads as they are and reports unreadable ones', async () => {
+  const file = imageFile(new Uint8Array([0x89, 0x50, 0x4e, 0x47]), 'image/png');
+  loadImage.mockResolvedValue({ width: 600, height: 800 });
+
+  const result = await normalizeUpload(file);
+
+  expect(result).toMatch(/^data:image\/png;base64,/);
+  expect(HTMLCanvasElement.prototype.toDataURL).not.toHaveBeenCalled();
+
+  loadImage.mockRejectedValue(new Error('Could not load image'));
+  await expect(normalizeUpload(file)).rejects.toThrow('Could not read this image');
+});
@@ -0,0 +1,55 @@
+// shareLinks.js - Public permalinks for try-on results
+//
+// Talks to the share endpoints of the StitchPix server (see server/). The owner
+// token returned when a link is created is kept with the result so the link
+// can later be extended or revoked.
+import { getConfig } from '../config';
+import { apiRequest } from './apiClient';
+import { blobToDataUrl } from './image';
+
+export const shareApiUrl = () => getConfig().shareApiUrl;
+
+const DAY = 24 * 60 * 60;
+
+// `value` is the link lifetime in seconds; null never expires
+export const SHARE_EXPIRY_OPTIONS = [
+  { label: '1 day', value: DAY },
+  { label: '7 days', value: 7 * DAY },
+  { label: '30 days', value: 30 * DAY },
+  { label: 'Never', value: null }
+];
+
+export const DEFAULT_SHARE_EXPIRY = 7 * DAY;
+
+export const isShareExpired = (share) => Boolean(share?.expiresAt) && new Date(share.expiresAt).getTime() <= Date.now();
+
+const toDataUrl = async (url) => {
+  if (url.startsWith('data:')) return url;
+  try {
+    return await blobToDataUrl(await (await fetch(url)).blob());
+  } catch (error) {
+    throw new Error('Could not read the image to share it');
+  }
+};
+
+// { id, url, imageUrl, title, createdAt, expiresAt, ownerToken }
+export const createShareLink = async (image, { expiresIn = DEFAULT_SHARE_EXPIRY, title } = {}) => (
+  apiRequest(`${shareApiUrl()}/api/shares`, {
+    method: 'POST',
+    body: { image: await toDataUrl(image.url), title, expiresIn }
+  })
+);
+
+export const updateShareExpiry = async (share, expiresIn) => {
+  const updated = await apiRequest(`${shareApiUrl()}/api/shares/${share.id}`, {
+    method: 'PATCH',
+    headers: { 'X-Share-Token': share.ownerToken },
+    body: { expiresIn }
+  });
+  return { ...share, ...updated };
+};
+
+export const revokeShareLink = (share) => apiRequest(`${shareApiUrl()}/api/shares/${share.id}`, {
+  method: 'DELETE',
+  headers: { 'X-Share-Token': share.ownerToken }
+});
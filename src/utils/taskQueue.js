@@ -0,0 +1,51 @@
+// taskQueue.js - Run async tasks with a limit on how many run at once
+
+// push(task) queues `task` (a function returning a promise) and resolves or
+// rejects with its result once it has run. The limit can be changed while tasks
+// are queued; tasks already running are not interrupted.
+export const createTaskQueue = (concurrency = 2) => {
+  let limit = concurrency;
+  let running = 0;
+  const waiting = [];
+
+  const finished = () => {
+    running -= 1;
+    next();
+  };
+
+  const start = ({ task, resolve, reject }) => {
+    running += 1;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(finished);
+  };
+
+  const next = () => {
+    while (running < limit && waiting.length) {
+      start(waiting.shift());
+    }
+  };
+
+  return {
+    push(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    setConcurrency(value) {
+      limit = Math.max(1, value);
+      next();
+    },
+
+    get running() {
+      return running;
+    },
+
+    get pending() {
+      return waiting.length;
+    }
+  };
+};
@@ -0,0 +1,60 @@
+import { createTaskQueue } from './taskQueue';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('runs no more tasks at once than the limit', async () => {
+  const queue = createTaskQueue(2);
+  const gates = [deferred(), deferred(), deferred()];
+  const started = [];
+  const results = gates.map((gate, i) => queue.push(() => {
+    started.push(i);
+    return gate.promise.then(() => i);
+  }));
+
+  await flush();
+  expect(started).toEqual([0, 1]);
+  expect(queue.pending).toBe(1);
+
+  gates[1].resolve();
+  await flush();
+  expect(started).toEqual([0, 1, 2]);
+
+  gates[0].resolve();
+  gates[2].resolve();
+  expect(await Promise.all(results)).toEqual([0, 1, 2]);
+  expect(queue.running).toBe(0);
+});
+
+test('keeps going after a task fails', async () => {
+  const queue = createTaskQueue(1);
+  const failing = queue.push(async () => {
+    throw new Error('Provider timed out');
+  });
+  const next = queue.push(async () => 'ok');
+
+  await expect(failing).rejects.toThrow('Provider timed out');
+  await expect(next).resolves.toBe('ok');
+});
+
+test('starts waiting tasks when the limit is raised', async () => {
+  const queue = createTaskQueue(1);
+  const gate = deferred();
+  const started = [];
+  queue.push(() => gate.promise);
+  queue.push(async () => started.push('second'));
+
+  await flush();
+  expect(started).toEqual([]);
+  queue.setConcurrency(2);
+  await flush();
+  expect(started).toEqual(['second']);
+  gate.resolve();
+});
@@ -0,0 +1,90 @@
+// watermark.js - Text or logo watermark drawn onto exported results
+//
+// Sizes are relative to the image (`scale` is the watermark width as a fraction
+// of the image width) so the small preview matches the full-size export.
+import { loadImage } from './image';
+
+export const WATERMARK_POSITIONS = [
+  { id: 'top-left', label: 'Top left' },
+  { id: 'top-right', label: 'Top right' },
+  { id: 'center', label: 'Center' },
+  { id: 'bottom-left', label: 'Bottom left' },
+  { id: 'bottom-right', label: 'Bottom right' }
+];
+
+export const DEFAULT_WATERMARK = {
+  enabled: false,
+  type: 'text',
+  text: '',
+  logo: null,
+  position: 'bottom-right',
+  opacity: 0.8,
+  scale: 0.25
+};
+
+const PRESET_KEY_PREFIX = 'stitchpix_watermark_';
+const MARGIN = 0.03;
+
+// Presets are kept per account, in this browser
+const presetKey = (user) => `${PRESET_KEY_PREFIX}${user?.id || user?.email || 'guest'}`;
+
+export const loadWatermarkPreset = (user) => {
+  try {
+    return { ...DEFAULT_WATERMARK, ...JSON.parse(localStorage.getItem(presetKey(user))) };
+  } catch (error) {
+    return DEFAULT_WATERMARK;
+  }
+};
+
+export const saveWatermarkPreset = (user, watermark) => {
+  try {
+    localStorage.setItem(presetKey(user), JSON.stringify(watermark));
+  } catch (error) {
+    // A large logo can exceed the storage quota
+    throw new Error('Could not save the preset - try a smaller logo');
+  }
+};
+
+export const hasWatermark = (watermark) => Boolean(
+  watermark?.enabled && (watermark.type === 'logo' ? watermark.logo : watermark.text?.trim())
+);
+
+// Top-left corner of a markWidth x markHeight watermark inside the image
+export const watermarkPosition = (width, height, markWidth, markHeight, position) => {
+  const margin = Math.round(Math.min(width, height) * MARGIN);
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+  const x = horizontal === 'left' ? margin : horizontal === 'right' ? width - markWidth - margin : (width - markWidth) / 2;
+  const y = vertical === 'top' ? margin : vertical === 'bottom' ? height - markHeight - margin : (height - markHeight) / 2;
+  return { x, y };
+};
+
+// Draw the watermark onto a width x height canvas context
+export const drawWatermark = async (ctx, width, height, watermark) => {
+  if (!hasWatermark(watermark)) return;
+  const markWidth = width * watermark.scale;
+
+  ctx.save();
+  ctx.globalAlpha = watermark.opacity;
+
+  if (watermark.type === 'logo') {
+    const logo = await loadImage(watermark.logo);
+    const markHeight = markWidth * (logo.height / logo.width);
+    const { x, y } = watermarkPosition(width, height, markWidth, markHeight, watermark.position);
+    ctx.drawImage(logo, x, y, markWidth, markHeight);
+  } else {
+    // Size the font so the text is markWidth wide
+    const text = watermark.text.trim();
+    ctx.font = 'bold 100px sans-serif';
+    const fontSize = Math.max(8, (100 * markWidth) / Math.max(1, ctx.measureText(text).width));
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+    const { x, y } = watermarkPosition(width, height, markWidth, fontSize, watermark.position);
+    // A soft shadow keeps white text readable on light clothes
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = fontSize / 8;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, x, y);
+  }
+
+  ctx.restore();
+};
@@ -0,0 +1,41 @@
+import { DEFAULT_WATERMARK, drawWatermark, hasWatermark, loadWatermarkPreset, saveWatermarkPreset, watermarkPosition } from './watermark';
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('places the watermark inside a margin of the chosen corner', () => {
+  expect(watermarkPosition(1000, 800, 200, 50, 'top-left')).toEqual({ x: 24, y: 24 });
+  expect(watermarkPosition(1000, 800, 200, 50, 'bottom-right')).toEqual({ x: 776, y: 726 });
+  expect(watermarkPosition(1000, 800, 200, 50, 'center')).toEqual({ x: 400, y: 375 });
+});
+
+test('keeps a separate preset for each account', () => {
+  const alice = { email: 'alice@example.com' };
+  const bob = { email: 'bob@example.com' };
+  saveWatermarkPreset(alice, { ...DEFAULT_WATERMARK, enabled: true, text: 'Alice Studio' });
+
+  expect(loadWatermarkPreset(alice)).toMatchObject({ enabled: true, text: 'Alice Studio', position: 'bottom-right' });
+  expect(loadWatermarkPreset(bob)).toEqual(DEFAULT_WATERMARK);
+});
+
+test('only draws enabled watermarks with content', async () => {
+  expect(hasWatermark({ ...DEFAULT_WATERMARK, enabled: true, text: '  ' })).toBe(false);
+  expect(hasWatermark({ ...DEFAULT_WATERMARK, enabled: true, type: 'logo', text: 'Studio' })).toBe(false);
+
+  const ctx = {
+    save: jest.fn(),
+    restore: jest.fn(),
+    measureText: () => ({ width: 500 }),
+    fillText: jest.fn()
+  };
+  await drawWatermark(ctx, 1000, 800, DEFAULT_WATERMARK);
+  expect(ctx.fillText).not.toHaveBeenCalled();
+
+  await drawWatermark(ctx, 1000, 800, { ...DEFAULT_WATERMARK, enabled: true, text: 'Studio', opacity: 0.5, scale: 0.25 });
+  // 500px wide at 100px, so 250px wide needs a 50px font
+  expect(ctx.font).toBe('bold 50px sans-serif');
+  expect(ctx.globalAlpha).toBe(0.5);
+  expect(ctx.fillText).toHaveBeenCalledWith('Studio', 726, 726);
+  expect(ctx.restore).toHaveBeenCalled();
+});
@@ -0,0 +1,37 @@
+import { crc32, createZip } from './zip';
+
+const readBytes = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.readAsArrayBuffer(blob);
+});
+
+test('computes the standard CRC-32', () => {
+  expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  expect(crc32(new Uint8Array())).toBe(0);
+});
+
+test('stores files with local headers and a central directory', async () => {
+  const zip = await createZip([
+    { name: 'red-dress.png', data: new Uint8Array([1, 2, 3]) },
+    { name: 'red-dress.png', data: new Uint8Array([4, 5]) }
+  ], { date: new Date(2024, 4, 17, 10, 30) });
+
+  expect(zip.type).toBe('application/zip');
+  const bytes = await readBytes(zip);
+  const view = new DataView(bytes.buffer);
+  const text = new TextDecoder().decode(bytes);
+
+  expect(view.getUint32(0, true)).toBe(0x04034b50);
+  expect(view.getUint32(18, true)).toBe(3);
+  expect(text).toContain('red-dress.png');
+  // Duplicate names are numbered so nothing is overwritten on extraction
+  expect(text).toContain('red-dress-2.png');
+
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  expect(view.getUint16(end + 10, true)).toBe(2);
+  const centralOffset = view.getUint32(end + 16, true);
+  expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+  expect(centralOffset).toBe(2 * 30 + 13 + 3 + 15 + 2);
+});